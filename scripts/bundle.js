@@ -2,9 +2,16 @@
  * Bundle script for generating CJS versions
  *
  * Generates:
- * - dist/index.cjs (main CJS bundle with all icons)
+ * - dist/cjs/runtime.cjs (lit + base classes + registry + color tokens, shared by all CJS files)
+ * - dist/index.cjs (main CJS entry, requiring the individual CJS icons)
+ * - dist/cjs/icon.cjs (generic <qxw-icon> element)
  * - dist/cjs/icons/*.cjs (individual CJS files for each icon)
+ * - dist/cjs/{react,vue,angular}.cjs (framework entries, requiring the individual CJS icons)
+ * - dist/cjs/svg/*.cjs (raw SVG strings, no runtime)
+ * - dist/cjs/metadata.cjs (icon metadata and search, no runtime)
  * - dist/webicon.min.js (IIFE bundle for browser)
+ * - dist/lazy/ (ESM chunks split per icon, shared code in dist/lazy/chunks/)
+ * - dist/webicon.loader.min.js (IIFE loader that imports icons from dist/lazy/ on demand)
  *
  * Usage:
  *   node scripts/bundle.js          # Full bundle (for production)
@@ -12,7 +19,7 @@
  */
 
 import { readdirSync, mkdirSync, existsSync } from 'node:fs';
-import { join, basename, dirname } from 'node:path';
+import { join, basename, dirname, relative, sep } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { build } from 'esbuild';
 
@@ -22,10 +29,139 @@ const ROOT_DIR = join(__dirname, '..');
 const DIST_DIR = join(ROOT_DIR, 'dist');
 const ICONS_DIR = join(DIST_DIR, 'icons');
 const CJS_ICONS_DIR = join(DIST_DIR, 'cjs', 'icons');
+const SVG_DIR = join(DIST_DIR, 'svg');
+const LAZY_DIR = join(DIST_DIR, 'lazy');
+
+// Modules bundled once into dist/cjs/runtime.cjs and shared by every CJS file,
+// so requiring many icons loads a single Lit runtime and QxIconBase class
+const SHARED_MODULES = {
+  lit: 'lit',
+  litDecorators: 'lit/decorators.js',
+  litStaticHtml: 'lit/static-html.js',
+  iconBase: './icon-base.js',
+  registry: './registry.js',
+  colorTokens: './color-tokens.js',
+};
 
 // Parse CLI args
 const isDevMode = process.argv.includes('--dev');
 
+/**
+ * esbuild plugin that redirects shared modules to dist/cjs/runtime.cjs
+ * @param {string} runtimePath - Require path of runtime.cjs relative to the output file
+ * @returns {import('esbuild').Plugin}
+ */
+function sharedRuntimePlugin(runtimePath) {
+  const keysByFile = new Map(
+    Object.entries(SHARED_MODULES)
+      .filter(([, specifier]) => specifier.startsWith('.'))
+      .map(([key, specifier]) => [join(DIST_DIR, specifier), key]),
+  );
+
+  return {
+    name: 'shared-runtime',
+    setup(pluginBuild) {
+      // Bare lit specifiers
+      pluginBuild.onResolve({ filter: /^lit(\/.*)?$/ }, (args) => {
+        const key = Object.keys(SHARED_MODULES).find((k) => SHARED_MODULES[k] === args.path);
+        if (!key) return undefined;
+        return { path: key, namespace: 'shared-runtime' };
+      });
+
+      // Relative imports of the hand-written runtime (e.g. '../icon-base.js')
+      pluginBuild.onResolve({ filter: /^\.\.?\// }, (args) => {
+        const key = keysByFile.get(join(args.resolveDir, args.path));
+        if (!key) return undefined;
+        return { path: key, namespace: 'shared-runtime' };
+      });
+
+      pluginBuild.onResolve({ filter: /runtime\.cjs$/, namespace: 'shared-runtime' }, (args) => ({
+        path: args.path,
+        external: true,
+      }));
+
+      pluginBuild.onLoad({ filter: /.*/, namespace: 'shared-runtime' }, (args) => ({
+        contents: `module.exports = require('${runtimePath}').${args.path};`,
+        loader: 'js',
+      }));
+    },
+  };
+}
+
+/**
+ * esbuild plugin that requires elements from dist/cjs/ instead of bundling them
+ * (`dist/icon.js` → `<cjsDir>icon.cjs`, `dist/icons/x.js` → `<cjsDir>icons/x.cjs`).
+ * Keeps each element defined once when the main entry, wrappers and
+ * individual icons are required side by side.
+ * @param {string} [cjsDir] - Path of dist/cjs/ relative to the output file
+ * @returns {import('esbuild').Plugin}
+ */
+function externalElementsPlugin(cjsDir = './') {
+  return {
+    name: 'external-elements',
+    setup(pluginBuild) {
+      // Relative imports from the entry ('./icons/x.js') and the per-icon wrappers ('../icons/x.js')
+      pluginBuild.onResolve({ filter: /^\.\.?\// }, (args) => {
+        const file = relative(DIST_DIR, join(args.resolveDir, args.path)).split(sep).join('/');
+        if (!/^(icon|icons\/[^/]+)\.js$/.test(file)) return undefined;
+        return { path: cjsDir + file.replace(/\.js$/, '.cjs'), external: true };
+      });
+    },
+  };
+}
+
+/**
+ * Build per-icon ESM chunks and the lazy loader script
+ * The loader only contains the registry and a tag → chunk URL map; icons
+ * are imported when their tags show up in the DOM.
+ */
+async function buildLazyLoader() {
+  const iconFiles = existsSync(ICONS_DIR)
+    ? readdirSync(ICONS_DIR).filter((f) => f.endsWith('.js'))
+    : [];
+
+  console.log(`\n  Building dist/lazy/ (${iconFiles.length} icon chunk(s))...`);
+  await build({
+    entryPoints: [
+      join(DIST_DIR, 'icon.js'),
+      ...iconFiles.map((file) => join(ICONS_DIR, file)),
+    ],
+    bundle: true,
+    splitting: true,
+    outdir: LAZY_DIR,
+    outbase: DIST_DIR,
+    entryNames: '[dir]/[name]',
+    chunkNames: 'chunks/[name]-[hash]',
+    format: 'esm',
+    platform: 'browser',
+    minify: true,
+  });
+  console.log('  ✅ dist/lazy/');
+
+  // Tag name → chunk URL relative to the loader script
+  const chunks = { 'qxw-icon': 'lazy/icon.js' };
+  for (const file of iconFiles) {
+    const safeFileName = basename(file, '.js');
+    chunks[`qxw-icon-${safeFileName}`] = `lazy/icons/${safeFileName}.js`;
+  }
+
+  console.log('  Building dist/webicon.loader.min.js...');
+  await build({
+    stdin: {
+      contents: `import { startIconLoader } from './loader.js';\nstartIconLoader({ chunks: ${JSON.stringify(chunks)} });\n`,
+      resolveDir: DIST_DIR,
+      sourcefile: 'webicon.loader.js',
+    },
+    bundle: true,
+    outfile: join(DIST_DIR, 'webicon.loader.min.js'),
+    format: 'iife',
+    platform: 'browser',
+    minify: true,
+    sourcemap: true,
+  });
+  console.log('  ✅ dist/webicon.loader.min.js');
+}
+
 async function main() {
   if (isDevMode) {
     console.log('📦 Building IIFE bundle (dev mode)...\n');
@@ -35,21 +171,54 @@ async function main() {
 
   // In dev mode, skip CJS bundles - only build IIFE for preview
   if (!isDevMode) {
-    // 1. Bundle main index.js to index.cjs
-    console.log('  Building dist/index.cjs...');
+    // 1. Bundle the shared runtime (lit + base classes + registry) once
+    console.log('  Building dist/cjs/runtime.cjs...');
+    await build({
+      stdin: {
+        contents: Object.entries(SHARED_MODULES)
+          .map(([key, specifier]) => `export * as ${key} from '${specifier}';`)
+          .join('\n'),
+        resolveDir: DIST_DIR,
+        sourcefile: 'runtime.js',
+      },
+      bundle: true,
+      outfile: join(DIST_DIR, 'cjs', 'runtime.cjs'),
+      format: 'cjs',
+      platform: 'browser',
+      minify: false,
+      sourcemap: true,
+    });
+    console.log('  ✅ dist/cjs/runtime.cjs');
+
+    // 2. Bundle main index.js to index.cjs
+    console.log('\n  Building dist/index.cjs...');
     await build({
       entryPoints: [join(DIST_DIR, 'index.js')],
       bundle: true,
       outfile: join(DIST_DIR, 'index.cjs'),
       format: 'cjs',
       platform: 'browser',
-      external: [], // Bundle everything including lit
+      // Elements come from dist/cjs/, shared with the individual icons and wrappers
+      plugins: [externalElementsPlugin('./cjs/'), sharedRuntimePlugin('./cjs/runtime.cjs')],
       minify: false,
       sourcemap: true,
     });
     console.log('  ✅ dist/index.cjs');
 
-    // 2. Bundle individual icon files to CJS
+    // Generic <qxw-icon> element for projects requiring individual icons
+    await build({
+      entryPoints: [join(DIST_DIR, 'icon.js')],
+      bundle: true,
+      outfile: join(DIST_DIR, 'cjs', 'icon.cjs'),
+      format: 'cjs',
+      platform: 'browser',
+      plugins: [sharedRuntimePlugin('./runtime.cjs')],
+      minify: false,
+      sourcemap: true,
+    });
+    console.log('  ✅ dist/cjs/icon.cjs');
+
+    // 3. Bundle individual icon files to CJS
     if (existsSync(ICONS_DIR)) {
       const iconFiles = readdirSync(ICONS_DIR).filter((f) => f.endsWith('.js'));
 
@@ -69,7 +238,7 @@ async function main() {
             outfile: outputPath,
             format: 'cjs',
             platform: 'browser',
-            external: [], // Bundle everything including lit
+            plugins: [sharedRuntimePlugin('../runtime.cjs')],
             minify: false,
             sourcemap: true,
           });
@@ -78,9 +247,60 @@ async function main() {
         }
       }
     }
+
+    // 4. Framework wrappers (frameworks stay peer dependencies)
+    for (const [name, external] of [['react', ['react']], ['vue', ['vue']], ['angular', ['@angular/core']]]) {
+      if (!existsSync(join(DIST_DIR, `${name}.js`))) continue;
+      console.log(`\n  Building dist/cjs/${name}.cjs...`);
+      await build({
+        entryPoints: [join(DIST_DIR, `${name}.js`)],
+        bundle: true,
+        outfile: join(DIST_DIR, 'cjs', `${name}.cjs`),
+        format: 'cjs',
+        platform: 'browser',
+        external,
+        plugins: [externalElementsPlugin(), sharedRuntimePlugin('./runtime.cjs')],
+        // Keep ɵɵngDeclare* unescaped, the Angular linker looks for them by name
+        charset: 'utf8',
+        minify: false,
+        sourcemap: true,
+      });
+      console.log(`  ✅ dist/cjs/${name}.cjs`);
+    }
+
+    // Raw SVG strings (plain modules, no runtime to share)
+    if (existsSync(SVG_DIR)) {
+      const svgFiles = readdirSync(SVG_DIR).filter((f) => f.endsWith('.js'));
+      console.log(`\n  Building ${svgFiles.length} raw SVG CJS module(s)...`);
+      await build({
+        entryPoints: svgFiles.map((file) => join(SVG_DIR, file)),
+        bundle: true,
+        outdir: join(DIST_DIR, 'cjs', 'svg'),
+        outExtension: { '.js': '.cjs' },
+        format: 'cjs',
+        platform: 'neutral',
+        minify: false,
+        sourcemap: true,
+      });
+      console.log('  ✅ dist/cjs/svg/');
+    }
+
+    // Icon metadata (plain data and the search helper)
+    if (existsSync(join(DIST_DIR, 'metadata.js'))) {
+      await build({
+        entryPoints: [join(DIST_DIR, 'metadata.js')],
+        bundle: true,
+        outfile: join(DIST_DIR, 'cjs', 'metadata.cjs'),
+        format: 'cjs',
+        platform: 'neutral',
+        minify: false,
+        sourcemap: true,
+      });
+      console.log('  ✅ dist/cjs/metadata.cjs');
+    }
   }
 
-  // 3. Build minified IIFE bundle for direct browser use
+  // 5. Build minified IIFE bundle for direct browser use
   console.log(isDevMode ? '  Building dist/webicon.min.js...' : '\n  Building dist/webicon.min.js (IIFE)...');
   await build({
     entryPoints: [join(DIST_DIR, 'index.js')],
@@ -94,6 +314,10 @@ async function main() {
   });
   console.log('  ✅ dist/webicon.min.js');
 
+  if (!isDevMode) {
+    await buildLazyLoader();
+  }
+
   console.log(isDevMode ? '\n✅ Dev bundle complete!' : '\n🎉 Bundle complete!');
 }
 
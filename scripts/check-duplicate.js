@@ -1,47 +1,148 @@
 /**
- * Check for duplicate SVG files between nocolors/ and colors/ directories
+ * Check for duplicate SVG files
+ *
+ * 1. Name collisions: computes the safe file name, component name and tag
+ *    name of every SVG in nocolors/, colors/ and duotone/ (see `naming.js`).
+ *    Files that collide after pinyin sanitization (`Arrow_Left.svg` and
+ *    `arrow-left.svg`), in the same directory or across directories, would
+ *    silently overwrite each other in `src/icons/`.
+ * 2. Duplicate drawings: fingerprints every SVG (see `svg-fingerprint.js`)
+ *    and reports pairs at or above the similarity threshold. Intentional
+ *    pairs are whitelisted in `svg/duplicates.json`:
+ *      { "threshold": 0.9, "allow": [["nocolors/a.svg", "colors/a-color.svg"]] }
+ *
+ * Dark variants (`<name>.dark.svg`) are skipped: they share their light
+ * icon's names and are meant to repeat its drawing.
+ *
+ * Runs as `npm run lint` and in the pre-commit hook.
  */
 
-import { readdirSync, existsSync } from 'node:fs';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { toSafeFileName, toComponentName, toTagName, isDarkVariant } from './naming.js';
+import { fingerprintSvg, compareFingerprints } from './svg-fingerprint.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
 const NOCOLORS_DIR = join(ROOT_DIR, 'svg', 'nocolors');
 const COLORS_DIR = join(ROOT_DIR, 'svg', 'colors');
+const DUOTONE_DIR = join(ROOT_DIR, 'svg', 'duotone');
+const DUPLICATES_CONFIG_PATH = join(ROOT_DIR, 'svg', 'duplicates.json');
+
+const DEFAULT_THRESHOLD = 0.9;
+
+/**
+ * Group files by a computed output name
+ * @param {Array<{file: string, safeFileName: string, componentName: string, tagName: string}>} entries
+ * @param {'safeFileName' | 'componentName' | 'tagName'} key
+ * @returns {Map<string, string[]>} Output name → files, only names shared by several files
+ */
+function findCollisions(entries, key) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const files = groups.get(entry[key]) || [];
+    files.push(entry.file);
+    groups.set(entry[key], files);
+  }
+  return new Map([...groups].filter(([, files]) => files.length > 1));
+}
+
+/**
+ * Load the duplicate drawing config (threshold and whitelisted groups)
+ * @returns {{threshold: number, allowed: (a: string, b: string) => boolean}}
+ */
+function loadDuplicatesConfig() {
+  const config = existsSync(DUPLICATES_CONFIG_PATH)
+    ? JSON.parse(readFileSync(DUPLICATES_CONFIG_PATH, 'utf-8'))
+    : {};
+  const groups = (config.allow || []).map((group) => new Set(group));
+
+  return {
+    threshold: config.threshold ?? DEFAULT_THRESHOLD,
+    // Every pair of files within an allowed group is intentional
+    allowed: (a, b) => groups.some((group) => group.has(a) && group.has(b)),
+  };
+}
+
+/**
+ * Find pairs of files whose drawings are identical or nearly identical
+ * @param {Array<{file: string, path: string}>} entries
+ * @returns {Array<{a: string, b: string, score: number}>} Sorted by score, highest first
+ */
+function findDuplicateDrawings(entries) {
+  const { threshold, allowed } = loadDuplicatesConfig();
+  const fingerprints = entries.map(({ path }) => fingerprintSvg(readFileSync(path, 'utf-8')));
+  const pairs = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (allowed(entries[i].file, entries[j].file)) continue;
+      const score = compareFingerprints(fingerprints[i], fingerprints[j]);
+      if (score >= threshold) {
+        pairs.push({ a: entries[i].file, b: entries[j].file, score });
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
 
 function main() {
-  const fileNames = new Set();
-  const duplicates = [];
-
-  // Collect files from nocolors/
-  if (existsSync(NOCOLORS_DIR)) {
-    readdirSync(NOCOLORS_DIR)
-      .filter((f) => f.endsWith('.svg'))
-      .forEach((file) => fileNames.add(file));
+  const entries = [];
+
+  for (const [dir, type] of [[NOCOLORS_DIR, 'nocolors'], [COLORS_DIR, 'colors'], [DUOTONE_DIR, 'duotone']]) {
+    if (!existsSync(dir)) continue;
+    readdirSync(dir)
+      .filter((f) => f.endsWith('.svg') && !isDarkVariant(f))
+      .forEach((file) => entries.push({
+        file: `${type}/${file}`,
+        path: join(dir, file),
+        safeFileName: toSafeFileName(file),
+        componentName: toComponentName(file),
+        tagName: toTagName(file),
+      }));
+  }
+
+  // Report each group of files once, under the first output it collides on
+  const reported = new Set();
+  const collisions = [];
+  for (const [key, label] of [['tagName', 'tag'], ['componentName', 'component'], ['safeFileName', 'file']]) {
+    for (const [name, files] of findCollisions(entries, key)) {
+      const id = [...files].sort().join('\n');
+      if (reported.has(id)) continue;
+      reported.add(id);
+      collisions.push({ label, name, files });
+    }
   }
 
-  // Check for duplicates in colors/
-  if (existsSync(COLORS_DIR)) {
-    readdirSync(COLORS_DIR)
-      .filter((f) => f.endsWith('.svg'))
-      .forEach((file) => {
-        if (fileNames.has(file)) {
-          duplicates.push(file);
-        }
-      });
+  if (collisions.length > 0) {
+    console.error('❌ Name collisions found (these files generate the same output):');
+    for (const { label, name, files } of collisions) {
+      console.error(`\n   Same ${label}: ${name}`);
+      for (const entry of entries.filter((e) => files.includes(e.file))) {
+        console.error(`     - ${entry.file} → src/icons/${entry.safeFileName}.ts, ${entry.componentName}, <${entry.tagName}>`);
+      }
+    }
+    console.error('\n   Rename or remove all but one file in each group.');
+  } else {
+    console.log(`✅ No name collisions (${entries.length} files)`);
   }
 
+  const duplicates = findDuplicateDrawings(entries);
   if (duplicates.length > 0) {
-    console.error('❌ Duplicate files found:');
-    duplicates.forEach((file) => console.error(`   - ${file}`));
-    process.exit(1);
+    console.error('\n❌ Duplicate drawings found:');
+    for (const { a, b, score } of duplicates) {
+      const similarity = score === 1 ? '100%' : `${(score * 100).toFixed(1)}%`;
+      console.error(`   ${similarity.padStart(6)}  ${a} ↔ ${b}`);
+    }
+    console.error('\n   Remove the copy, or whitelist intentional pairs in svg/duplicates.json.');
+  } else {
+    console.log('✅ No duplicate drawings');
   }
 
-  console.log('✅ No duplicate files');
-  process.exit(0);
+  process.exit(collisions.length > 0 || duplicates.length > 0 ? 1 : 0);
 }
 
 main();
@@ -3,19 +3,22 @@
  *
  * Features:
  * - HTTP server for static files and API
- * - File upload for SVG files
+ * - File upload for SVG files (targetDir=auto places each file by its colors)
  * - WebSocket for build status notifications
  * - Auto-build trigger after upload
  */
 
 import { createServer } from 'node:http';
 import { readFileSync, existsSync, mkdirSync, writeFileSync, readdirSync, unlinkSync } from 'node:fs';
-import { join, dirname, extname } from 'node:path';
+import { join, dirname, extname, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { spawn } from 'node:child_process';
 import { WebSocketServer } from 'ws';
-import { pinyin } from 'pinyin';
 import { simpleGit } from 'simple-git';
+import { sanitizeFileName, isDarkVariant } from './naming.js';
+import { sanitizeSvg } from './svg-sanitize.js';
+import { loadLintConfig, lintSvg } from './svg-lint.js';
+import { analyzeColors } from './svg-colors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -38,31 +41,6 @@ const MIME_TYPES = {
 // Store connected WebSocket clients
 const clients = new Set();
 
-/**
- * Sanitize filename to safe ASCII for module names
- * Converts Chinese characters to pinyin, removes/replaces unsafe chars
- * @param {string} str - Original filename without extension
- * @returns {string} Safe ASCII string
- */
-function sanitizeFileName(str) {
-  // Convert Chinese characters to pinyin
-  let result = pinyin(str, {
-    style: 'normal',       // Use normal spelling (no tones)
-    segment: false,        // Don't segment, char by char
-    group: false,          // Don't group by word
-  }).join('');
-
-  // Replace unsafe characters with hyphens (underscore is not valid in custom element names)
-  result = result.replace(/[^a-zA-Z0-9]+/g, '-');
-
-  // Clean up multiple hyphens, remove leading/trailing hyphens
-  return result
-    .replace(/-+/g, '-')
-    .replace(/-+$/, '')
-    .replace(/^-+/, '')
-    .toLowerCase();
-}
-
 /**
  * Parse multipart/form-data
  * Simple implementation for file upload
@@ -342,6 +320,16 @@ async function getGitStatusFiles() {
   }
 }
 
+/**
+ * Whether git tracks a file (committed or staged)
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<boolean>}
+ */
+async function isGitTracked(filePath) {
+  const output = await git.raw(['ls-files', '--', relative(ROOT_DIR, filePath)]);
+  return output.trim() !== '';
+}
+
 /**
  * Get detailed git status for commit message generation
  * Returns categorized file lists
@@ -602,8 +590,6 @@ async function getSyncStatus() {
  */
 async function getIconsList(onlyGitChanged = true) {
   const icons = [];
-  const nocolorsDir = join(ROOT_DIR, 'svg', 'nocolors');
-  const colorsDir = join(ROOT_DIR, 'svg', 'colors');
 
   // Get git changed files if needed
   let changedFiles = null;
@@ -612,18 +598,13 @@ async function getIconsList(onlyGitChanged = true) {
     // No fallback - if no git changes, return empty list
   }
 
-  if (existsSync(nocolorsDir)) {
-    readdirSync(nocolorsDir)
-      .filter(f => f.endsWith('.svg'))
-      .filter(f => !changedFiles || changedFiles.has(f))
-      .forEach(f => icons.push({ name: f, type: 'nocolors' }));
-  }
-
-  if (existsSync(colorsDir)) {
-    readdirSync(colorsDir)
+  for (const type of ['nocolors', 'colors', 'duotone']) {
+    const dir = join(ROOT_DIR, 'svg', type);
+    if (!existsSync(dir)) continue;
+    readdirSync(dir)
       .filter(f => f.endsWith('.svg'))
       .filter(f => !changedFiles || changedFiles.has(f))
-      .forEach(f => icons.push({ name: f, type: 'colors' }));
+      .forEach(f => icons.push({ name: f, type }));
   }
 
   return icons;
@@ -655,38 +636,85 @@ const server = createServer(async (req, res) => {
       }
 
       const { files, fields } = result;
-      const targetDir = fields.targetDir === 'colors' ? 'colors' : 'nocolors';
-      const uploadDir = join(ROOT_DIR, 'svg', targetDir);
-
-      // Ensure directory exists
-      if (!existsSync(uploadDir)) {
-        mkdirSync(uploadDir, { recursive: true });
+      const targetDir = ['colors', 'duotone', 'auto'].includes(fields.targetDir) ? fields.targetDir : 'nocolors';
+
+      // Reject files with unsafe content or lint errors before saving anything
+      const lintConfig = loadLintConfig();
+      const rejected = [];
+      const warnings = [];
+      const placements = new Map(); // filename → { targetDir, colors }
+      for (const file of files.filter((f) => f.filename.endsWith('.svg'))) {
+        try {
+          const content = file.content.toString('utf-8');
+          const { removed } = sanitizeSvg(content);
+          const { colors, suggestedType } = analyzeColors(content);
+          // Dark variants (name.dark.svg) always sit next to their colors icon
+          const dark = isDarkVariant(file.filename);
+          const type = dark ? 'colors' : targetDir === 'auto' ? suggestedType : targetDir;
+          placements.set(file.filename, { targetDir: type, colors });
+          const messages = lintSvg(content, type, lintConfig);
+          const errors = messages.filter((m) => m.severity === 'error').map((m) => `${m.rule}: ${m.message}`);
+          if (dark && !['colors', 'auto'].includes(targetDir)) {
+            errors.push(`Dark variants are only supported for colors icons, not ${targetDir}/`);
+          }
+          if (removed.length > 0 || errors.length > 0) {
+            rejected.push({ file: file.filename, reasons: [...removed, ...errors] });
+          }
+          const warned = messages.filter((m) => m.severity === 'warn');
+          if (warned.length > 0) {
+            warnings.push({ file: file.filename, messages: warned });
+          }
+        } catch (err) {
+          rejected.push({ file: file.filename, reasons: [`Invalid SVG: ${err.message}`] });
+        }
+      }
+      if (rejected.length > 0) {
+        console.log(`🛡️ Rejected upload: ${rejected.map((r) => r.file).join(', ')}`);
+        sendJSON(res, 400, { error: 'SVG rejected', rejected, warnings });
+        return;
       }
 
       // Save files (convert Chinese filename to pinyin)
       const savedFiles = [];
+      const placed = [];
       for (const file of files) {
         if (!file.filename.endsWith('.svg')) {
           continue;
         }
+        const { targetDir: type, colors } = placements.get(file.filename);
+        const uploadDir = join(ROOT_DIR, 'svg', type);
+        if (!existsSync(uploadDir)) {
+          mkdirSync(uploadDir, { recursive: true });
+        }
+
         // Convert Chinese characters to pinyin for safe filename
         const originalName = file.filename;
-        const baseName = originalName.slice(0, -4); // Remove .svg extension
-        const safeName = sanitizeFileName(baseName) + '.svg';
+        const dark = isDarkVariant(originalName);
+        const baseName = originalName.slice(0, dark ? -'.dark.svg'.length : -4); // Remove .svg extension
+        const safeName = sanitizeFileName(baseName) + (dark ? '.dark.svg' : '.svg');
         const filePath = join(uploadDir, safeName);
         writeFileSync(filePath, file.content);
         savedFiles.push(safeName);
-        console.log(`📁 Uploaded: ${targetDir}/${safeName}` + (safeName !== originalName ? ` (original: ${originalName})` : ''));
+        placed.push({ file: safeName, targetDir: type, colors });
+
+        // Keep the Chinese name as display name in the metadata sidecar
+        const sidecarPath = join(uploadDir, safeName.slice(0, -4) + '.json');
+        if (!dark && /[\u4e00-\u9fff]/.test(baseName) && !existsSync(sidecarPath)) {
+          writeFileSync(sidecarPath, JSON.stringify({ title: { zh: baseName } }, null, 2) + '\n');
+        }
+        console.log(`📁 Uploaded: ${type}/${safeName}` + (safeName !== originalName ? ` (original: ${originalName})` : ''));
       }
 
       // Run incremental build for uploaded files
-      const addFiles = savedFiles.map(f => `${targetDir}/${f}`);
+      const addFiles = placed.map(p => `${p.targetDir}/${p.file}`);
       runIncrementalBuild({ add: addFiles }).catch(err => console.error('Build error:', err.message));
 
       sendJSON(res, 200, { 
         success: true, 
         files: savedFiles,
         targetDir,
+        placed,
+        warnings,
         message: 'Files uploaded and build started' 
       });
     } catch (err) {
@@ -731,6 +759,13 @@ const server = createServer(async (req, res) => {
       if (existsSync(filePath)) {
         unlinkSync(filePath);
         console.log(`🗑️ Deleted: ${type}/${filename}`);
+
+        // Remove the metadata sidecar along with the icon, unless git tracks it
+        // (only uncommitted files can be deleted here, so committed metadata stays)
+        const sidecarPath = filePath.slice(0, -4) + '.json';
+        if (existsSync(sidecarPath) && !(await isGitTracked(sidecarPath))) {
+          unlinkSync(sidecarPath);
+        }
         
         // Trigger incremental build for deleted file
         runIncrementalBuild({ delete: [`${type}/${filename}`] }).catch(err => console.error('Build error:', err.message));
@@ -1,12 +1,27 @@
 /**
  * SVG to Lit Web Component Icon Generator
  *
- * This script reads SVG files from `svg/nocolors/` and `svg/colors/` directories,
- * optimizes them with SVGO, and generates Lit-based web component icon files.
+ * This script reads SVG files from `svg/nocolors/`, `svg/colors/` and `svg/duotone/`
+ * directories, optimizes them with SVGO, and generates Lit-based web component icon files.
  *
  * Directory structure:
  *   - svg/nocolors/ - Icons that can be colored via CSS (fill removed)
  *   - svg/colors/   - Icons that keep their original colors
+ *   - svg/duotone/  - Two-tone icons, colored via --icon-color and --icon-secondary-color
+ *
+ * Every SVG goes through `svg-sanitize.js` first: scripts, event handlers,
+ * <foreignObject>, <image> and external references are removed and reported.
+ * Icons whose paints don't match their directory (several colors or gradients
+ * in nocolors/, two or fewer colors in colors/) are reported with the directory
+ * they belong in (see `svg-colors.js`).
+ *
+ * Colors icons get their palette rewritten to `var(--qxw-<icon>-c<n>, <color>)`
+ * (see `svg-palette.js`), published with the metadata.
+ *
+ * Generated components extend the hand-written runtime classes in
+ * `src/icon-base.ts`, so each file under `src/icons/` only holds its tag,
+ * SVG template and metadata. The tight viewBox used by `auto-crop` is
+ * computed here from the path geometry (see `scripts/svg-bbox.js`).
  *
  * Usage:
  *   Full build (default):
@@ -16,6 +31,15 @@
  *     node scripts/generate-icons.js --incremental --add nocolors/file1.svg,colors/file2.svg
  *     node scripts/generate-icons.js --incremental --delete nocolors/file.svg
  *
+ * Also writes `src/react.ts` and `src/react/` (React wrappers), `src/vue.ts`
+ * (Vue plugin and typings), `src/angular.ts`, `src/angular/` and
+ * `src/angular-module.ts` (Angular directives), `src/svg/` (raw SVG
+ * strings) and `dist/sprite.svg` with one `<symbol id="qxw-icon-...">` per icon.
+ *
+ * Metadata (display names, keywords, category, owner) is read from an
+ * optional sidecar `<name>.json` next to each SVG and published as
+ * `dist/icons.json` and `src/metadata.ts`.
+ *
  * Naming convention:
  *   - SVG file: `arrow-left.svg` → Component: `QxIconArrowLeft` → Tag: `<qxw-icon-arrow-left>`
  */
@@ -23,89 +47,38 @@
 import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, rmSync } from 'node:fs';
 import { join, basename, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { optimize, loadConfig } from 'svgo';
-import { pinyin } from 'pinyin';
+import { loadConfig } from 'svgo';
+import { computeBBox } from './svg-bbox.js';
+import {
+  toSafeFileName, toComponentName, toTagName, isDarkVariant, toDarkVariant, fromDarkVariant,
+} from './naming.js';
+import { sanitizeSvg } from './svg-sanitize.js';
+import { analyzeColors, describeMisclassification } from './svg-colors.js';
+import { loadSvgoConfig, optimizeSvg } from './svgo-pipeline.js';
+import { applyPalette, applyDuotone } from './svg-palette.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const ROOT_DIR = join(__dirname, '..');
 const NOCOLORS_DIR = join(ROOT_DIR, 'svg', 'nocolors');
 const COLORS_DIR = join(ROOT_DIR, 'svg', 'colors');
+const DUOTONE_DIR = join(ROOT_DIR, 'svg', 'duotone');
+const SOURCE_DIRS = [[NOCOLORS_DIR, 'nocolors'], [COLORS_DIR, 'colors'], [DUOTONE_DIR, 'duotone']];
 const OUTPUT_DIR = join(ROOT_DIR, 'src', 'icons');
+const SVG_OUTPUT_DIR = join(ROOT_DIR, 'src', 'svg');
 const INDEX_PATH = join(ROOT_DIR, 'src', 'index.ts');
-
-// Cache for SVGO configs to avoid reloading
-const svgoConfigCache = new Map();
-
-/**
- * Sanitize filename to safe ASCII for module names
- * Converts Chinese characters to pinyin, removes/replaces unsafe chars
- * @param {string} str - Original filename without extension
- * @returns {string} Safe ASCII string
- */
-function sanitizeFileName(str) {
-  // Convert Chinese characters to pinyin
-  let result = pinyin(str, {
-    style: 'normal',       // Use normal spelling (no tones)
-    segment: false,        // Don't segment, char by char
-    group: false,          // Don't group by word
-  }).join('');
-  
-  // Replace unsafe characters with hyphens (underscore is not valid in custom element names)
-  result = result.replace(/[^a-zA-Z0-9]+/g, '-');
-  
-  // Clean up multiple hyphens, remove leading/trailing hyphens
-  return result
-    .replace(/-+/g, '-')
-    .replace(/-+$/, '')
-    .replace(/^-+/, '')
-    .toLowerCase();
-}
-
-/**
- * Convert kebab-case to PascalCase
- * @param {string} str - kebab-case string
- * @returns {string} PascalCase string
- */
-function toPascalCase(str) {
-  // First sanitize to ensure ASCII
-  const safeStr = sanitizeFileName(str);
-  return safeStr
-    .split('-')
-    .filter(part => part.length > 0)
-    .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
-    .join('');
-}
-
-/**
- * Convert filename to safe filename (for output files)
- * @param {string} filename - Original filename
- * @returns {string} Safe filename
- */
-function toSafeFileName(filename) {
-  const name = basename(filename, '.svg');
-  return sanitizeFileName(name);
-}
-
-/**
- * Convert filename to component name
- * @param {string} filename - SVG filename (e.g., "arrow-left.svg")
- * @returns {string} Component name (e.g., "QxIconArrowLeft")
- */
-function toComponentName(filename) {
-  const safeName = toSafeFileName(filename);
-  return 'QxIcon' + toPascalCase(safeName);
-}
-
-/**
- * Convert filename to tag name
- * @param {string} filename - SVG filename (e.g., "arrow-left.svg")
- * @returns {string} Tag name (e.g., "qxw-icon-arrow-left")
- */
-function toTagName(filename) {
-  const safeName = toSafeFileName(filename);
-  return 'qxw-icon-' + safeName.toLowerCase();
-}
+const SPRITE_PATH = join(ROOT_DIR, 'dist', 'sprite.svg');
+const REACT_PATH = join(ROOT_DIR, 'src', 'react.ts');
+const REACT_OUTPUT_DIR = join(ROOT_DIR, 'src', 'react');
+const VUE_PATH = join(ROOT_DIR, 'src', 'vue.ts');
+const ANGULAR_PATH = join(ROOT_DIR, 'src', 'angular.ts');
+const ANGULAR_OUTPUT_DIR = join(ROOT_DIR, 'src', 'angular');
+const ANGULAR_MODULE_PATH = join(ROOT_DIR, 'src', 'angular-module.ts');
+const METADATA_PATH = join(ROOT_DIR, 'src', 'metadata.ts');
+const MANIFEST_PATH = join(ROOT_DIR, 'dist', 'icons.json');
+
+// loadIconSvg results of this run, reused by the sprite and the manifest
+const iconSvgCache = new Map();
 
 /**
  * Clean SVG content for embedding in template literal
@@ -122,14 +95,14 @@ function cleanSvg(svg) {
 }
 
 /**
- * Optimize SVG using SVGO
- * @param {string} svgContent - Raw SVG content
- * @param {object} config - SVGO config
- * @returns {string} Optimized SVG content
+ * Escape markup for the body of a template literal (`\`, backtick and `${`)
+ * The sanitizer already rejects template syntax; this keeps the generated
+ * `html\`...\`` templates inert even if something slips through.
+ * @param {string} svg - Cleaned SVG content
+ * @returns {string} Escaped content
  */
-function optimizeSvg(svgContent, config) {
-  const result = optimize(svgContent, config);
-  return result.data;
+function escapeTemplateLiteral(svg) {
+  return svg.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
 }
 
 /**
@@ -157,120 +130,82 @@ function getSvgDimensions(svg) {
   return null;
 }
 
+/**
+ * Compute the viewBox used by `auto-crop` (tight box around the geometry)
+ * With a dark variant, the box covers both, since the component applies it
+ * to whichever one is shown.
+ * @param {...string} svgs - Optimized SVG content (light and dark variants)
+ * @returns {string | null} viewBox value, or null if it cannot be computed
+ */
+function getCropViewBox(...svgs) {
+  const boxes = svgs.map((svg) => computeBBox(svg));
+  if (boxes.some((box) => !box)) return null;
+  const x = Math.min(...boxes.map((box) => box.x));
+  const y = Math.min(...boxes.map((box) => box.y));
+  const width = Math.max(...boxes.map((box) => box.x + box.width)) - x;
+  const height = Math.max(...boxes.map((box) => box.y + box.height)) - y;
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return [x, y, width, height].map(round).join(' ');
+}
+
+/**
+ * Render the optional cropViewBox static field
+ * @param {string | null} cropViewBox
+ * @returns {string}
+ */
+function cropViewBoxField(cropViewBox) {
+  return cropViewBox ? `\n  static cropViewBox = '${cropViewBox}';\n` : '';
+}
+
+/**
+ * Render the optional iconTitle static field (display names for `auto-label`)
+ * @param {{zh?: string, en?: string}} title - Display names from the metadata
+ * @returns {string}
+ */
+function iconTitleField(title) {
+  return title.zh || title.en ? `\n  static iconTitle = ${JSON.stringify(title)};\n` : '';
+}
+
+/**
+ * Render the optional directional static field (default `mirror-rtl`)
+ * @param {boolean} directional - From the metadata
+ * @returns {string}
+ */
+function directionalField(directional) {
+  return directional ? '\n  static directional = true;\n' : '';
+}
+
 /**
  * Generate Lit component code for a nocolors icon (CSS colorable)
+ * Behavior lives in QxIconBase (src/icon-base.ts); the generated class only
+ * declares its tag, SVG template and metadata, and registers itself so
+ * `<qxw-icon name="...">` can find it.
  * @param {string} componentName - Component class name
  * @param {string} tagName - Custom element tag name
- * @param {string} svgContent - Cleaned SVG content
+ * @param {string} svgContent - SVG content, escaped for the template literal
+ * @param {string} safeFileName - Safe icon name (e.g., "arrow-left")
+ * @param {string} fields - Optional static fields (cropViewBox, iconTitle, directional)
  * @returns {string} TypeScript component code
  */
-function generateNocolorsComponent(componentName, tagName, svgContent) {
-  return `import { LitElement, html, css, type PropertyValues } from 'lit';
-import { customElement, property } from 'lit/decorators.js';
+function generateNocolorsComponent(componentName, tagName, svgContent, safeFileName, fields) {
+  return `import { html } from 'lit';
+import { customElement } from 'lit/decorators.js';
+import { QxIconBase } from '../icon-base.js';
+import { registerIcon } from '../registry.js';
 
 /**
  * ${componentName} - Auto-generated icon component (colorable via CSS)
  * @element ${tagName}
  */
 @customElement('${tagName}')
-export class ${componentName} extends LitElement {
-  static styles = css\`
-    :host {
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      flex: 0 0 auto;
-      width: var(--icon-width, var(--icon-size, 1em));
-      height: var(--icon-size, 1em);
-      color: var(--icon-color, currentColor);
-    }
-    svg {
-      width: 100%;
-      height: 100%;
-      fill: currentColor;
-      display: block;
-    }
-  \`;
-
-  private originalViewBox?: string;
-  private aspectRatio?: number;
-
-  @property({ type: Number })
-  size?: number;
-
-  @property({ type: String })
-  color?: string;
-
-  @property({ type: Boolean, attribute: 'auto-crop' })
-  autoCrop = false;
-
-  private updateCrop() {
-    const svg = this.renderRoot.querySelector('svg');
-    if (!svg) return;
-
-    if (!this.originalViewBox) {
-      this.originalViewBox = svg.getAttribute('viewBox') ?? undefined;
-    }
-
-    if (!this.autoCrop) {
-      if (this.originalViewBox) {
-        svg.setAttribute('viewBox', this.originalViewBox);
-      }
-      this.style.removeProperty('--icon-width');
-      return;
-    }
-
-    const box = svg.getBBox();
-    if (!box.width || !box.height) return;
-
-    // Find max stroke-width to account for stroke not included in getBBox
-    let maxStrokeWidth = 0;
-    svg.querySelectorAll('*').forEach((el: Element) => {
-      const sw = parseFloat(getComputedStyle(el).strokeWidth) || 0;
-      if (sw > maxStrokeWidth) maxStrokeWidth = sw;
-    });
-    const svgSw = parseFloat(getComputedStyle(svg).strokeWidth) || 0;
-    if (svgSw > maxStrokeWidth) maxStrokeWidth = svgSw;
-
-    // Add padding for stroke (half on each side)
-    const padding = maxStrokeWidth / 2;
-    const vbX = box.x - padding;
-    const vbY = box.y - padding;
-    const vbW = box.width + maxStrokeWidth;
-    const vbH = box.height + maxStrokeWidth;
-
-    this.aspectRatio = vbW / vbH;
-    svg.setAttribute('viewBox', vbX + ' ' + vbY + ' ' + vbW + ' ' + vbH);
-
-    const size = this.size ?? parseFloat(getComputedStyle(this).fontSize);
-    if (size && this.aspectRatio) {
-      this.style.setProperty('--icon-width', (size * this.aspectRatio).toFixed(2) + 'px');
-    }
-  }
-
-  firstUpdated() {
-    this.updateCrop();
-  }
-
-  updated(changedProperties: PropertyValues) {
-    if (changedProperties.has('size') || changedProperties.has('autoCrop')) {
-      this.updateCrop();
-    }
-  }
-
-  render() {
-    const style = [
-      this.size ? \`--icon-size: \${this.size}px\` : '',
-      this.color ? \`--icon-color: \${this.color}\` : '',
-    ].filter(Boolean).join(';');
-
-    return html\`
-      <style>\${style ? \`:host { \${style} }\` : ''}</style>
-      ${svgContent}
-    \`;
-  }
+export class ${componentName} extends QxIconBase {
+  static iconName = '${safeFileName}';
+${fields}
+  static svg = html\`${svgContent}\`;
 }
 
+registerIcon('${tagName}', ${componentName});
+
 declare global {
   interface HTMLElementTagNameMap {
     '${tagName}': ${componentName};
@@ -279,116 +214,99 @@ declare global {
 `;
 }
 
+/**
+ * Add a class to the root <svg> element
+ * @param {string} svg - SVG markup
+ * @param {string} className - Class to add
+ * @returns {string} Updated markup
+ */
+function addRootClass(svg, className) {
+  return svg.replace(/^<svg([^>]*)>/, (match, attrs) => {
+    const existing = attrs.match(/\sclass=["']([^"']*)["']/);
+    if (!existing) return `<svg${attrs} class="${className}">`;
+    return `<svg${attrs.replace(existing[0], ` class="${existing[1]} ${className}"`)}>`;
+  });
+}
+
 /**
  * Generate Lit component code for a colors icon (preserves original colors)
+ * Behavior lives in QxIconColorsBase (src/icon-base.ts). With a dark variant
+ * both SVGs are embedded, marked `qxw-light` / `qxw-dark` for the base
+ * class styles to switch between.
  * @param {string} componentName - Component class name
  * @param {string} tagName - Custom element tag name
- * @param {string} svgContent - Cleaned SVG content
+ * @param {string} svgContent - SVG content, escaped for the template literal
+ * @param {string} safeFileName - Safe icon name (e.g., "wechat-color")
+ * @param {string} fields - Optional static fields (cropViewBox, iconTitle, directional)
  * @param {{width: number, height: number} | null} dimensions - SVG dimensions
+ * @param {string | null} darkSvgContent - SVG content of the dark variant, escaped like svgContent
  * @returns {string} TypeScript component code
  */
-function generateColorsComponent(componentName, tagName, svgContent, dimensions) {
+function generateColorsComponent(componentName, tagName, svgContent, safeFileName, fields, dimensions, darkSvgContent) {
   const aspectRatio = dimensions ? dimensions.width / dimensions.height : 1;
-  return `import { LitElement, html, css, type PropertyValues } from 'lit';
-import { customElement, property } from 'lit/decorators.js';
+  const svgFields = darkSvgContent
+    ? `  static svg = html\`${addRootClass(svgContent, 'qxw-light')}\`;
+
+  static darkSvg = html\`${addRootClass(darkSvgContent, 'qxw-dark')}\`;`
+    : `  static svg = html\`${svgContent}\`;`;
+  return `import { html } from 'lit';
+import { customElement } from 'lit/decorators.js';
+import { QxIconColorsBase } from '../icon-base.js';
+import { registerIcon } from '../registry.js';
 
 /**
  * ${componentName} - Auto-generated icon component (preserves original colors)
  * @element ${tagName}
  */
 @customElement('${tagName}')
-export class ${componentName} extends LitElement {
-  static styles = css\`
-    :host {
-      display: inline-flex;
-      align-items: center;
-      justify-content: center;
-      flex: 0 0 auto;
-      width: var(--icon-width, auto);
-      height: var(--icon-size, 1em);
-    }
-    svg {
-      width: 100%;
-      height: 100%;
-      display: block;
-    }
-  \`;
-
-  private originalViewBox?: string;
-  private aspectRatio?: number;
-
-  @property({ type: Number })
-  size?: number;
-
-  @property({ type: Boolean, attribute: 'auto-crop' })
-  autoCrop = false;
-
-  private updateCrop() {
-    const svg = this.renderRoot.querySelector('svg');
-    if (!svg) return;
-
-    if (!this.originalViewBox) {
-      this.originalViewBox = svg.getAttribute('viewBox') ?? undefined;
-    }
-
-    if (!this.autoCrop) {
-      if (this.originalViewBox) {
-        svg.setAttribute('viewBox', this.originalViewBox);
-      }
-      this.style.removeProperty('--icon-width');
-      return;
-    }
-
-    const box = svg.getBBox();
-    if (!box.width || !box.height) return;
+export class ${componentName} extends QxIconColorsBase {
+  static iconName = '${safeFileName}';
 
-    // Find max stroke-width to account for stroke not included in getBBox
-    let maxStrokeWidth = 0;
-    svg.querySelectorAll('*').forEach((el: Element) => {
-      const sw = parseFloat(getComputedStyle(el).strokeWidth) || 0;
-      if (sw > maxStrokeWidth) maxStrokeWidth = sw;
-    });
-    const svgSw = parseFloat(getComputedStyle(svg).strokeWidth) || 0;
-    if (svgSw > maxStrokeWidth) maxStrokeWidth = svgSw;
-
-    // Add padding for stroke (half on each side)
-    const padding = maxStrokeWidth / 2;
-    const vbX = box.x - padding;
-    const vbY = box.y - padding;
-    const vbW = box.width + maxStrokeWidth;
-    const vbH = box.height + maxStrokeWidth;
-
-    this.aspectRatio = vbW / vbH;
-    svg.setAttribute('viewBox', vbX + ' ' + vbY + ' ' + vbW + ' ' + vbH);
-
-    const size = this.size ?? parseFloat(getComputedStyle(this).fontSize);
-    if (size && this.aspectRatio) {
-      this.style.setProperty('--icon-width', (size * this.aspectRatio).toFixed(2) + 'px');
-    }
-  }
+  static aspectRatio = ${aspectRatio};
+${fields}
+${svgFields}
+}
 
-  firstUpdated() {
-    this.updateCrop();
-  }
+registerIcon('${tagName}', ${componentName});
 
-  updated(changedProperties: PropertyValues) {
-    if (changedProperties.has('size') || changedProperties.has('autoCrop')) {
-      this.updateCrop();
-    }
+declare global {
+  interface HTMLElementTagNameMap {
+    '${tagName}': ${componentName};
   }
+}
+`;
+}
 
-  render() {
-    const style = this.size
-      ? '--icon-size: ' + this.size + 'px; --icon-width: ' + (this.size * ${aspectRatio}).toFixed(2) + 'px'
-      : '';
+/**
+ * Generate Lit component code for a duotone icon (two themeable colors)
+ * Behavior lives in QxIconDuotoneBase (src/icon-base.ts); the duotone SVGO
+ * config has already mapped the colors to --icon-color and --icon-secondary-color.
+ * @param {string} componentName - Component class name
+ * @param {string} tagName - Custom element tag name
+ * @param {string} svgContent - SVG content, escaped for the template literal
+ * @param {string} safeFileName - Safe icon name (e.g., "badge-check")
+ * @param {string} fields - Optional static fields (cropViewBox, iconTitle, directional)
+ * @returns {string} TypeScript component code
+ */
+function generateDuotoneComponent(componentName, tagName, svgContent, safeFileName, fields) {
+  return `import { html } from 'lit';
+import { customElement } from 'lit/decorators.js';
+import { QxIconDuotoneBase } from '../icon-base.js';
+import { registerIcon } from '../registry.js';
 
-    return html\`
-      <style>\${style ? \`:host { \${style} }\` : ''}</style>
-      ${svgContent}
-    \`;
-  }
+/**
+ * ${componentName} - Auto-generated icon component (two colors, themeable via CSS)
+ * @element ${tagName}
+ */
+@customElement('${tagName}')
+export class ${componentName} extends QxIconDuotoneBase {
+  static iconName = '${safeFileName}';
+${fields}
+  static svg = html\`${svgContent}\`;
 }
 
+registerIcon('${tagName}', ${componentName});
+
 declare global {
   interface HTMLElementTagNameMap {
     '${tagName}': ${componentName};
@@ -397,14 +315,47 @@ declare global {
 `;
 }
 
+/**
+ * Generate component code for an icon of any type
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
+ * @param {string} componentName - Component class name
+ * @param {string} tagName - Custom element tag name
+ * @param {string} svgContent - Cleaned SVG content with the color variables (templateContent)
+ * @param {string} safeFileName - Safe icon name
+ * @param {{width: number, height: number} | null} dimensions - SVG dimensions (colors icons)
+ * @param {{title: {zh?: string, en?: string}, directional: boolean}} metadata - Icon metadata (loadIconMetadata)
+ * @param {string | null} [darkSvgContent] - Cleaned SVG content of the dark variant (colors icons)
+ * @returns {string} TypeScript component code
+ */
+function generateComponent(type, componentName, tagName, svgContent, safeFileName, dimensions, metadata, darkSvgContent = null) {
+  const fields = cropViewBoxField(getCropViewBox(svgContent, ...(darkSvgContent ? [darkSvgContent] : [])))
+    + iconTitleField(metadata.title)
+    + directionalField(metadata.directional);
+  const template = escapeTemplateLiteral(svgContent);
+  if (type === 'colors') {
+    const darkTemplate = darkSvgContent && escapeTemplateLiteral(darkSvgContent);
+    return generateColorsComponent(componentName, tagName, template, safeFileName, fields, dimensions, darkTemplate);
+  }
+  const generateFn = type === 'duotone' ? generateDuotoneComponent : generateNocolorsComponent;
+  return generateFn(componentName, tagName, template, safeFileName, fields);
+}
+
 /**
  * Generate index.ts that exports all icons
  * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
  * @returns {string} Index file content
  */
 function generateIndex(icons) {
+  const runtimeExports = [
+    `export { QxIconBase, QxIconColorsBase, QxIconDuotoneBase, type QxIconType, type QxIconTheme, type QxIconFlip } from './icon-base.js';`,
+    `export { registerIcon, getIcon, hasIcon, getIconNames, onIconRegistered, trackIconLoad, whenIconLoaded, type QxIconEntry } from './registry.js';`,
+    `export { registerColorTokens, getColorTokens, colorTokenVariable, resolveColor, resolveColorValue, defaultColorTokens, type QxColorToken, type QxIconColor } from './color-tokens.js';`,
+    `export { QxIcon, type QxIconNotFoundDetail } from './icon.js';`,
+    `export { insertSprite, loadSprite } from './sprite.js';`,
+  ].join('\n');
+
   if (icons.length === 0) {
-    return `// No icons generated yet. Add SVG files to svg/nocolors/ or svg/colors/ directory.\nexport {};\n`;
+    return `// No icons generated yet. Add SVG files to svg/nocolors/, svg/colors/ or svg/duotone/ directory.\n${runtimeExports}\n`;
   }
 
   const exports = icons
@@ -422,12 +373,416 @@ function generateIndex(icons) {
  *   // or
  *   import '@dqjs/webicon/icons/arrow-left.js';
  *   // then use <qxw-icon-arrow-left></qxw-icon-arrow-left>
+ *   // or pick by name: <qxw-icon name="arrow-left"></qxw-icon>
  */
 
+${runtimeExports}
+
 ${exports}
 `;
 }
 
+/**
+ * Generate the React wrapper of one icon (`src/react/<name>.ts`)
+ * Each wrapper imports only its own element, so bundlers drop the elements
+ * of unused wrappers.
+ * @param {string} componentName - Component name, e.g. QxIconArrowLeft
+ * @param {string} safeFileName - Safe icon name
+ * @returns {string} TypeScript module code
+ */
+function generateReactWrapper(componentName, safeFileName) {
+  return `/**
+ * ${componentName} - Auto-generated React wrapper
+ */
+import '../icons/${safeFileName}.js';
+import type { ${componentName} as ${componentName}Element } from '../icons/${safeFileName}.js';
+import { createIconComponent } from '../react-component.js';
+
+export const ${componentName} = /* @__PURE__ */ createIconComponent<${componentName}Element>('qxw-icon-${safeFileName}', '${componentName}');
+`;
+}
+
+/**
+ * Generate react.ts (`@dqjs/webicon/react`) re-exporting the wrapper of every icon
+ * Built from the same icon list as generateIndex.
+ * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
+ * @returns {string} React entry file content
+ */
+function generateReactEntry(icons) {
+  const sorted = [...icons].sort((a, b) => a.safeFileName.localeCompare(b.safeFileName));
+
+  const exports = sorted
+    .map(({ componentName, safeFileName }) => `export { ${componentName} } from './react/${safeFileName}.js';`)
+    .join('\n');
+
+  return `/**
+ * @dqjs/webicon/react - Auto-generated React wrapper components
+ *
+ * Usage:
+ *   import { QxIconArrowLeft } from '@dqjs/webicon/react';
+ *   <QxIconArrowLeft size={16} color="red" autoCrop ref={iconRef} />
+ */
+
+export { createIconComponent, type QxIconProps, type QxIconComponent } from './react-component.js';
+${exports ? `\n${exports}\n` : ''}`;
+}
+
+/**
+ * Generate vue.ts (`@dqjs/webicon/vue`) with the plugin and GlobalComponents typings
+ * The entry defines no elements: apps import the icons they use.
+ * Built from the same icon list as generateIndex.
+ * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
+ * @returns {string} Vue entry file content
+ */
+function generateVueEntry(icons) {
+  const sorted = [...icons].sort((a, b) => a.safeFileName.localeCompare(b.safeFileName));
+
+  const components = sorted
+    .map(({ safeFileName }) => `    'qxw-icon-${safeFileName}': QxIconVueComponent;`)
+    .join('\n');
+
+  return `/**
+ * @dqjs/webicon/vue - Auto-generated Vue 3 integration
+ *
+ * Usage:
+ *   import { WebiconPlugin } from '@dqjs/webicon/vue';
+ *   import '@dqjs/webicon/icons/arrow-left.js'; // or '@dqjs/webicon' for every icon
+ *   app.use(WebiconPlugin);
+ *   // vite.config.ts (templates compiled at build time):
+ *   import { isCustomElement } from '@dqjs/webicon/vue';
+ *   vue({ template: { compilerOptions: { isCustomElement } } })
+ */
+
+import type { QxIconVueComponent, QxIconNameVueComponent } from './vue-plugin.js';
+
+export {
+  WebiconPlugin,
+  isCustomElement,
+  type QxIconVueProps,
+  type QxIconNameVueProps,
+  type QxIconVueComponent,
+  type QxIconNameVueComponent,
+} from './vue-plugin.js';
+
+declare module 'vue' {
+  interface GlobalComponents {
+    'qxw-icon': QxIconNameVueComponent;
+${components}
+  }
+}
+`;
+}
+
+/**
+ * Generate the Angular directive of one icon (`src/angular/<name>.ts`)
+ * Each directive imports only its own element, so bundlers drop the elements
+ * of unused directives.
+ * @param {string} componentName - Component name, e.g. QxIconArrowLeft
+ * @param {string} safeFileName - Safe icon name
+ * @returns {string} TypeScript module code
+ */
+function generateAngularDirective(componentName, safeFileName) {
+  return `/**
+ * ${componentName}Directive - Auto-generated Angular directive
+ */
+import { Directive } from '@angular/core';
+import { QxIconDirectiveBase } from '../angular-directive.js';
+import '../icons/${safeFileName}.js';
+import type { ${componentName} } from '../icons/${safeFileName}.js';
+
+@Directive({
+  selector: 'qxw-icon-${safeFileName}',
+  standalone: true,
+})
+export class ${componentName}Directive extends QxIconDirectiveBase<${componentName}> {}
+`;
+}
+
+/**
+ * Generate angular.ts (`@dqjs/webicon/angular`) re-exporting the directive of every icon
+ * Built from the same icon list as generateIndex.
+ * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
+ * @returns {string} Angular entry file content
+ */
+function generateAngularEntry(icons) {
+  const sorted = [...icons].sort((a, b) => a.safeFileName.localeCompare(b.safeFileName));
+
+  const exports = sorted
+    .map(({ componentName, safeFileName }) => `export { ${componentName}Directive } from './angular/${safeFileName}.js';`)
+    .join('\n');
+
+  return `/**
+ * @dqjs/webicon/angular - Auto-generated Angular directives
+ *
+ * Usage:
+ *   import { QxIconModule } from '@dqjs/webicon/angular';
+ *   @NgModule({ imports: [QxIconModule] })
+ *   // or import single standalone directives (only their icons get bundled),
+ *   // e.g. QxIconArrowLeftDirective
+ *   <qxw-icon-arrow-left [size]="16" color="red" autoCrop></qxw-icon-arrow-left>
+ */
+
+export { QxIconDirectiveBase, QxIconNameDirective } from './angular-directive.js';
+export { QxIconModule } from './angular-module.js';
+${exports ? `\n${exports}\n` : ''}`;
+}
+
+/**
+ * Generate angular-module.ts with the NgModule exporting every directive
+ * Kept out of angular.ts, whose re-exports alone let bundlers drop the
+ * directives an app doesn't import.
+ * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
+ * @returns {string} Angular module file content
+ */
+function generateAngularModule(icons) {
+  const sorted = [...icons].sort((a, b) => a.safeFileName.localeCompare(b.safeFileName));
+
+  const imports = sorted
+    .map(({ componentName, safeFileName }) => `import { ${componentName}Directive } from './angular/${safeFileName}.js';`)
+    .join('\n');
+
+  const directiveNames = ['QxIconNameDirective', ...sorted.map(({ componentName }) => `${componentName}Directive`)];
+
+  return `/**
+ * QxIconModule - Auto-generated NgModule exporting every icon directive
+ */
+
+import { NgModule } from '@angular/core';
+import { QxIconNameDirective } from './angular-directive.js';
+${imports}
+
+const DIRECTIVES = [
+${directiveNames.map((name) => `  ${name},`).join('\n')}
+];
+
+@NgModule({
+  imports: DIRECTIVES,
+  exports: DIRECTIVES,
+})
+export class QxIconModule {}
+`;
+}
+
+/**
+ * Generate the raw SVG module for an icon (`@dqjs/webicon/svg/<name>`)
+ * @param {string} safeFileName - Safe icon name
+ * @param {string} svgContent - Cleaned SVG content with literal colors
+ * @returns {string} TypeScript module code
+ */
+function generateSvgModule(safeFileName, svgContent) {
+  return `/**
+ * ${safeFileName} - Auto-generated optimized SVG markup
+ */
+const svg: string = ${JSON.stringify(svgContent)};
+
+export default svg;
+`;
+}
+
+/**
+ * Generate svg/index.ts (`@dqjs/webicon/svg`) with a typed map of all icons
+ * Built from the same icon list as generateIndex.
+ * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
+ * @returns {string} SVG index file content
+ */
+function generateSvgIndex(icons) {
+  const sorted = [...icons].sort((a, b) => a.safeFileName.localeCompare(b.safeFileName));
+
+  const imports = sorted
+    .map(({ componentName, safeFileName }) => `import ${componentName}Svg from './${safeFileName}.js';`)
+    .join('\n');
+
+  const entries = sorted
+    .map(({ componentName, safeFileName }) => `  '${safeFileName}': ${componentName}Svg,`)
+    .join('\n');
+
+  return `/**
+ * @dqjs/webicon/svg - Auto-generated map of optimized SVG markup
+ *
+ * Usage:
+ *   import { svgIcons, toDataUri } from '@dqjs/webicon/svg';
+ *   img.src = toDataUri(svgIcons['arrow-left'], { color: 'red', size: 16 });
+ */
+${imports ? `\n${imports}\n` : ''}
+export { toDataUri, applySvgOptions, type QxSvgOptions } from '../svg-uri.js';
+
+export const svgIcons = {
+${entries}
+};
+
+export type QxSvgIconName = keyof typeof svgIcons;
+`;
+}
+
+/**
+ * Write every entry generated from the icon list
+ * (index.ts, framework wrappers and the svg map)
+ * @param {Array<{componentName: string, safeFileName: string}>} icons - List of icons
+ */
+function writeEntries(icons) {
+  writeFileSync(INDEX_PATH, generateIndex(icons));
+
+  // Per-icon wrappers are fully generated, recreate them
+  for (const dir of [REACT_OUTPUT_DIR, ANGULAR_OUTPUT_DIR]) {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+  }
+  for (const { componentName, safeFileName } of icons) {
+    writeFileSync(join(REACT_OUTPUT_DIR, safeFileName + '.ts'), generateReactWrapper(componentName, safeFileName));
+    writeFileSync(join(ANGULAR_OUTPUT_DIR, safeFileName + '.ts'), generateAngularDirective(componentName, safeFileName));
+  }
+  writeFileSync(REACT_PATH, generateReactEntry(icons));
+  writeFileSync(VUE_PATH, generateVueEntry(icons));
+  writeFileSync(ANGULAR_PATH, generateAngularEntry(icons));
+  writeFileSync(ANGULAR_MODULE_PATH, generateAngularModule(icons));
+  writeFileSync(join(SVG_OUTPUT_DIR, 'index.ts'), generateSvgIndex(icons));
+}
+
+/**
+ * Convert an optimized SVG into a sprite <symbol>
+ * Root presentation attributes (fill, stroke, ...) are kept so they still
+ * apply to the symbol content.
+ * @param {string} svgContent - Cleaned SVG content
+ * @param {string} tagName - Tag name, used as the symbol id
+ * @returns {string} Symbol markup
+ */
+function toSymbol(svgContent, tagName) {
+  return svgContent
+    .replace(/^<svg([^>]*)>/, (match, attrs) => {
+      const kept = attrs.replace(/\s(xmlns(:\w+)?|version|width|height|x|y)=["'][^"']*["']/gi, '');
+      return `<symbol id="${tagName}"${kept}>`;
+    })
+    .replace(/<\/svg>$/, '</symbol>');
+}
+
+/**
+ * Generate dist/sprite.svg with one <symbol> per icon
+ * Always rebuilt from every source SVG, so it stays complete in incremental mode.
+ */
+async function generateSprite() {
+  const symbols = [];
+
+  for (const [dir, type] of SOURCE_DIRS) {
+    if (!existsSync(dir)) continue;
+    const svgFiles = listIconFiles(dir);
+    for (const file of svgFiles) {
+      const { svgContent } = await loadIconSvg(dir, file, type);
+      symbols.push({ tagName: toTagName(file), symbol: toSymbol(svgContent, toTagName(file)) });
+    }
+  }
+
+  symbols.sort((a, b) => a.tagName.localeCompare(b.tagName));
+
+  const sprite = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">'
+    + symbols.map(({ symbol }) => symbol).join('')
+    + '</svg>\n';
+
+  mkdirSync(dirname(SPRITE_PATH), { recursive: true });
+  writeFileSync(SPRITE_PATH, sprite);
+  console.log(`  🧩 dist/sprite.svg (${symbols.length} symbol(s))`);
+}
+
+/**
+ * Read the optional sidecar metadata of an icon (`<name>.json` next to the SVG)
+ * Without a display name, a Chinese file name is kept as the Chinese title,
+ * since the generated names are pinyin.
+ * @param {string} dir - Source directory
+ * @param {string} filename - SVG filename
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
+ * @param {object} [colors] - loadIconSvg result of a colors icon, for its palettes and dark variant
+ * @returns {object} Icon metadata entry for dist/icons.json
+ */
+function loadIconMetadata(dir, filename, type, colors) {
+  const name = basename(filename, '.svg');
+  const sidecar = name + '.json';
+  let data = {};
+
+  if (existsSync(join(dir, sidecar))) {
+    try {
+      data = JSON.parse(readFileSync(join(dir, sidecar), 'utf-8'));
+    } catch (err) {
+      console.log(`    ⚠️  Invalid metadata ${type}/${sidecar}: ${err.message}`);
+    }
+  }
+
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  const keywords = Array.isArray(data.keywords) ? data.keywords.map(text).filter(Boolean) : [];
+
+  return {
+    name: toSafeFileName(filename),
+    tagName: toTagName(filename),
+    componentName: toComponentName(filename),
+    type,
+    file: `${type}/${filename}`,
+    title: {
+      zh: text(data.title?.zh) ?? (/[\u4e00-\u9fff]/.test(name) ? name : undefined),
+      en: text(data.title?.en),
+    },
+    keywords,
+    category: text(data.category),
+    owner: text(data.owner),
+    directional: data.directional === true,
+    palette: colors?.palette,
+    dark: Boolean(colors?.dark),
+    darkPalette: colors?.dark?.palette,
+  };
+}
+
+/**
+ * Generate metadata.ts (`@dqjs/webicon/metadata`)
+ * @param {Array<object>} entries - Icon metadata entries
+ * @returns {string} Metadata entry file content
+ */
+function generateMetadataEntry(entries) {
+  const names = entries.map(({ name }) => `\n  | '${name}'`).join('');
+
+  return `/**
+ * @dqjs/webicon/metadata - Auto-generated icon metadata
+ * Source: sidecar \`svg/<type>/<name>.json\` files
+ *
+ * Usage:
+ *   import { iconMetadata, searchIcons } from '@dqjs/webicon/metadata';
+ *   searchIcons(iconMetadata, '身份证');
+ */
+
+import type { QxIconMetadata } from './icon-metadata.js';
+
+export { searchIcons, type QxIconMetadata, type QxIconPaletteEntry } from './icon-metadata.js';
+
+export type QxIconName =${names || ' never'};
+
+export const iconMetadata: readonly QxIconMetadata[] = ${JSON.stringify(entries, null, 2)};
+`;
+}
+
+/**
+ * Generate dist/icons.json and src/metadata.ts
+ * Rebuilt from every source SVG like the sprite; palettes and dark variants
+ * of colors icons come from loadIconSvg.
+ */
+async function generateManifest() {
+  const entries = [];
+
+  for (const [dir, type] of SOURCE_DIRS) {
+    if (!existsSync(dir)) continue;
+    const svgFiles = listIconFiles(dir);
+    for (const file of svgFiles) {
+      const colors = type === 'colors' ? await loadIconSvg(dir, file, type) : undefined;
+      entries.push(loadIconMetadata(dir, file, type, colors));
+    }
+  }
+
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  mkdirSync(dirname(MANIFEST_PATH), { recursive: true });
+  writeFileSync(MANIFEST_PATH, JSON.stringify(entries, null, 2) + '\n');
+  writeFileSync(METADATA_PATH, generateMetadataEntry(entries));
+
+  const described = entries.filter((e) => e.title.zh || e.title.en || e.keywords.length > 0).length;
+  const dark = entries.filter((e) => e.dark).length;
+  console.log(`  🏷️  dist/icons.json (${entries.length} icon(s), ${described} with metadata, ${dark} with dark variant)`);
+}
+
 /**
  * Parse existing index.ts to get current exports
  * @returns {Map<string, {componentName: string, safeFileName: string}>} Map of safeFileName -> icon info
@@ -454,35 +809,118 @@ function parseExistingIndex() {
 }
 
 /**
- * Load SVGO config for a directory (with caching)
- * @param {string} dir - Directory path
- * @returns {Promise<object>} SVGO config
+ * List the icon SVGs of a source directory
+ * Dark variants (`<name>.dark.svg`) belong to their light icon and are left out.
+ * @param {string} dir - Source directory
+ * @returns {string[]} SVG filenames
  */
-async function loadSvgoConfig(dir) {
-  if (svgoConfigCache.has(dir)) {
-    return svgoConfigCache.get(dir);
+function listIconFiles(dir) {
+  return readdirSync(dir).filter((f) => f.endsWith('.svg') && !isDarkVariant(f));
+}
+
+/**
+ * Read, sanitize, optimize and clean a source SVG
+ * Shared by component generation, the sprite sheet and the manifest, and
+ * cached for the rest of the run. A colors icon's `<name>.dark.svg` is
+ * loaded along with it as `dark`.
+ *
+ * `svgContent` keeps the literal colors (raw SVG, sprite, data URIs), while
+ * `templateContent` maps them to the palette or duotone variables for the
+ * component template.
+ * @param {string} dir - Source directory
+ * @param {string} filename - SVG filename
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
+ * @returns {Promise<{svgContent: string, templateContent: string, dimensions: {width: number, height: number} | null, removed: string[], misplaced: string | null, palette?: Array<{variable: string, color: string}>, dark: object | null}>}
+ */
+async function loadIconSvg(dir, filename, type) {
+  const svgPath = join(dir, filename);
+  if (iconSvgCache.has(svgPath)) {
+    return iconSvgCache.get(svgPath);
   }
-  
-  const configPath = join(dir, 'svgo.config.cjs');
-  let config = {};
-  
-  if (existsSync(configPath)) {
-    const configModule = await import(`file://${configPath}`);
-    config = configModule.default || configModule;
+
+  const svgoConfig = await loadSvgoConfig(dir);
+
+  // Strip scripts, event handlers and external references before anything else
+  let { svg: svgContent, removed } = sanitizeSvg(readFileSync(svgPath, 'utf-8'));
+
+  // Check the paints before the nocolors pipeline flattens them
+  const misplaced = describeMisclassification(analyzeColors(svgContent), type);
+
+  // Get dimensions before optimization
+  const dimensions = getSvgDimensions(svgContent);
+
+  // Optimize with SVGO
+  svgContent = optimizeSvg(svgContent, svgoConfig, svgPath);
+
+  // Themeable color variables (palette or duotone roles) for the component only,
+  // falling back to the original colors
+  let templateContent = svgContent;
+  let palette;
+  if (type === 'colors') {
+    // The dark variant shares the icon's name, with its own `-dark` variables
+    const isDark = isDarkVariant(filename);
+    ({ svg: templateContent, palette } = applyPalette(
+      svgContent,
+      toSafeFileName(isDark ? fromDarkVariant(filename) : filename),
+      isDark ? '-dark' : '',
+    ));
+  } else if (type === 'duotone') {
+    ({ svg: templateContent, marked: svgContent } = applyDuotone(svgContent));
   }
-  
-  svgoConfigCache.set(dir, config);
-  return config;
+
+  const finish = (svg) => {
+    svg = cleanSvg(svg);
+    if (type !== 'colors') return svg;
+    // Keep viewBox, remove explicit width/height on root SVG only to allow CSS sizing
+    return svg.replace(/^<svg([^>]*)>/, (match, attrs) => {
+      const cleaned = attrs.replace(/\s(width|height)=["'][^"']*["']/gi, '');
+      return '<svg' + cleaned + '>';
+    });
+  };
+  svgContent = finish(svgContent);
+  templateContent = finish(templateContent);
+
+  // Dark variant, embedded in the same component
+  let dark = null;
+  const darkFile = toDarkVariant(filename);
+  if (type === 'colors' && !isDarkVariant(filename) && existsSync(join(dir, darkFile))) {
+    dark = await loadIconSvg(dir, darkFile, type);
+    removed = [...removed, ...dark.removed.map((reason) => `${darkFile}: ${reason}`)];
+  }
+
+  const result = { svgContent, templateContent, dimensions, removed, misplaced, palette, dark };
+  iconSvgCache.set(svgPath, result);
+  return result;
+}
+
+/**
+ * Log what the sanitizer removed from a file
+ * @param {string} file - File path relative to svg/
+ * @param {string[]} removed - Reasons from sanitizeSvg
+ */
+function reportSanitized(file, removed) {
+  if (removed.length === 0) return;
+  console.log(`    🛡️  ${file}: removed ${removed.length} unsafe construct(s)`);
+  removed.forEach((reason) => console.log(`       - ${reason}`));
+}
+
+/**
+ * Log an icon whose colors don't match its directory
+ * @param {string} file - File path relative to svg/
+ * @param {string | null} misplaced - Message from describeMisclassification
+ */
+function reportMisplaced(file, misplaced) {
+  if (misplaced) console.log(`    🎨 ${file}: ${misplaced}`);
 }
 
 /**
  * Process a single SVG file
  * @param {string} filePath - Full path to SVG file (e.g., "type/filename.svg")
- * @param {'nocolors' | 'colors'} type - Icon type
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
  * @returns {Promise<{componentName: string, safeFileName: string, type: string} | null>}
  */
 async function processSingleFile(filePath, type) {
-  const dir = type === 'nocolors' ? NOCOLORS_DIR : COLORS_DIR;
+  const [dir] = SOURCE_DIRS.find(([, t]) => t === type);
   const filename = basename(filePath);
   const fullPath = join(dir, filename);
   
@@ -491,36 +929,22 @@ async function processSingleFile(filePath, type) {
     return null;
   }
   
-  const svgoConfig = await loadSvgoConfig(dir);
-  
-  let svgContent = readFileSync(fullPath, 'utf-8');
-  const dimensions = getSvgDimensions(svgContent);
-  
-  // Optimize with SVGO
-  svgContent = optimizeSvg(svgContent, svgoConfig);
-  svgContent = cleanSvg(svgContent);
-  
-  if (type === 'colors') {
-    // Keep viewBox, remove explicit width/height on root SVG only to allow CSS sizing
-    svgContent = svgContent.replace(/^<svg([^>]*)>/, (match, attrs) => {
-      const cleaned = attrs.replace(/\s(width|height)=["'][^"']*["']/gi, '');
-      return '<svg' + cleaned + '>';
-    });
-  }
+  const { svgContent, templateContent, dimensions, removed, misplaced, dark } = await loadIconSvg(dir, filename, type);
+  reportSanitized(`${type}/${filename}`, removed);
+  reportMisplaced(`${type}/${filename}`, misplaced);
   
   const componentName = toComponentName(filename);
   const tagName = toTagName(filename);
   const safeFileName = toSafeFileName(filename);
   const outputFile = join(OUTPUT_DIR, safeFileName + '.ts');
   
-  const generateFn = type === 'nocolors' ? generateNocolorsComponent : generateColorsComponent;
-  const componentCode = type === 'nocolors'
-    ? generateFn(componentName, tagName, svgContent)
-    : generateFn(componentName, tagName, svgContent, dimensions);
+  const metadata = loadIconMetadata(dir, filename, type);
+  const componentCode = generateComponent(type, componentName, tagName, templateContent, safeFileName, dimensions, metadata, dark?.templateContent);
   
   writeFileSync(outputFile, componentCode);
+  writeFileSync(join(SVG_OUTPUT_DIR, safeFileName + '.ts'), generateSvgModule(safeFileName, svgContent));
   
-  console.log(`    ✅ ${filename} → ${componentName} (${tagName}) [${type}]`);
+  console.log(`    ✅ ${filename} → ${componentName} (${tagName}) [${type}${dark ? ', dark variant' : ''}]`);
   
   return { componentName, safeFileName, type };
 }
@@ -537,6 +961,7 @@ function deleteSingleFile(filePath) {
   
   if (existsSync(outputFile)) {
     rmSync(outputFile);
+    rmSync(join(SVG_OUTPUT_DIR, safeFileName + '.ts'), { force: true });
     console.log(`    🗑️  Deleted: ${safeFileName}.ts`);
     return { safeFileName };
   } else {
@@ -577,59 +1002,52 @@ function parseArgs() {
 /**
  * Process SVG files from a directory (full build)
  * @param {string} dir - Directory path
- * @param {'nocolors' | 'colors'} type - Icon type
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
  * @param {Array} icons - Array to collect icon info
+ * @param {string[]} sanitized - Array to collect files the sanitizer changed
+ * @param {string[]} misplaced - Array to collect files in the wrong directory
  */
-async function processDirectory(dir, type, icons) {
+async function processDirectory(dir, type, icons, sanitized, misplaced) {
   if (!existsSync(dir)) {
     console.log(`  ⚠️  ${type}/ directory not found, skipping...`);
     return;
   }
 
-  const svgFiles = readdirSync(dir).filter((f) => f.endsWith('.svg'));
+  const svgFiles = listIconFiles(dir);
   if (svgFiles.length === 0) {
     console.log(`  ⚠️  No SVG files in ${type}/`);
     return;
   }
 
-  // Load SVGO config
-  const svgoConfig = await loadSvgoConfig(dir);
-
   console.log(`\n  Processing ${type}/ (${svgFiles.length} files)...`);
 
-  const generateFn = type === 'nocolors' ? generateNocolorsComponent : generateColorsComponent;
+  for (const file of readdirSync(dir).filter(isDarkVariant)) {
+    if (type !== 'colors') {
+      console.log(`    ⚠️  ${type}/${file}: dark variants are only supported in colors/, ignored`);
+    } else if (!svgFiles.includes(fromDarkVariant(file))) {
+      console.log(`    ⚠️  ${type}/${file}: no ${fromDarkVariant(file)} to pair with, ignored`);
+    }
+  }
 
   for (const file of svgFiles) {
-    const svgPath = join(dir, file);
-    let svgContent = readFileSync(svgPath, 'utf-8');
-
-    // Get dimensions before optimization
-    const dimensions = getSvgDimensions(svgContent);
-
-    // Optimize with SVGO
-    svgContent = optimizeSvg(svgContent, svgoConfig);
-    svgContent = cleanSvg(svgContent);
-
-    if (type === 'colors') {
-      // Keep viewBox, remove explicit width/height on root SVG only to allow CSS sizing
-      svgContent = svgContent.replace(/^<svg([^>]*)>/, (match, attrs) => {
-        const cleaned = attrs.replace(/\s(width|height)=["'][^"']*["']/gi, '');
-        return '<svg' + cleaned + '>';
-      });
-    }
+    const { svgContent, templateContent, dimensions, removed, misplaced: message, dark } = await loadIconSvg(dir, file, type);
+    reportSanitized(`${type}/${file}`, removed);
+    if (removed.length > 0) sanitized.push(`${type}/${file}`);
+    reportMisplaced(`${type}/${file}`, message);
+    if (message) misplaced.push(`${type}/${file}`);
 
     const componentName = toComponentName(file);
     const tagName = toTagName(file);
     const safeFileName = toSafeFileName(file);
     const outputFile = join(OUTPUT_DIR, safeFileName + '.ts');
 
-    const componentCode = type === 'nocolors'
-      ? generateFn(componentName, tagName, svgContent)
-      : generateFn(componentName, tagName, svgContent, dimensions);
+    const metadata = loadIconMetadata(dir, file, type);
+    const componentCode = generateComponent(type, componentName, tagName, templateContent, safeFileName, dimensions, metadata, dark?.templateContent);
     writeFileSync(outputFile, componentCode);
+    writeFileSync(join(SVG_OUTPUT_DIR, safeFileName + '.ts'), generateSvgModule(safeFileName, svgContent));
 
     icons.push({ componentName, filename: file, safeFileName, type });
-    console.log(`    ✅ ${file} → ${componentName} (${tagName}) [${type}]`);
+    console.log(`    ✅ ${file} → ${componentName} (${tagName}) [${type}${dark ? ', dark variant' : ''}]`);
   }
 }
 
@@ -640,14 +1058,18 @@ async function processDirectory(dir, type, icons) {
 async function incrementalBuild({ add, delete: del }) {
   console.log('🔄 Incremental build...');
   
-  // Ensure output directory exists
-  if (!existsSync(OUTPUT_DIR)) {
-    mkdirSync(OUTPUT_DIR, { recursive: true });
-  }
+  // Ensure output directories exist
+  mkdirSync(OUTPUT_DIR, { recursive: true });
+  mkdirSync(SVG_OUTPUT_DIR, { recursive: true });
   
   // Parse existing index to get current exports
   const existingIcons = parseExistingIndex();
   
+  // A changed or deleted dark variant rebuilds its light icon
+  const toLight = (filePath) => filePath.replace(/[^/]+$/, (file) => fromDarkVariant(file));
+  add = [...new Set([...add, ...del.filter(isDarkVariant)].map((f) => (isDarkVariant(f) ? toLight(f) : f)))];
+  del = del.filter((f) => !isDarkVariant(f));
+
   // Process deletions first
   if (del.length > 0) {
     console.log(`\n  Deleting ${del.length} file(s)...`);
@@ -663,9 +1085,9 @@ async function incrementalBuild({ add, delete: del }) {
   if (add.length > 0) {
     console.log(`\n  Processing ${add.length} file(s)...`);
     for (const filePath of add) {
-      // Parse type from path (e.g., "nocolors/file.svg" or "colors/file.svg")
+      // Parse type from path (e.g., "nocolors/file.svg", "colors/file.svg" or "duotone/file.svg")
       const parts = filePath.split('/');
-      const type = parts[0] === 'colors' ? 'colors' : 'nocolors';
+      const type = ['colors', 'duotone'].includes(parts[0]) ? parts[0] : 'nocolors';
       const filename = parts[parts.length - 1];
       
       const result = await processSingleFile(filename, type);
@@ -678,10 +1100,12 @@ async function incrementalBuild({ add, delete: del }) {
     }
   }
   
-  // Regenerate index.ts
+  // Regenerate index.ts and the other entries
   const icons = Array.from(existingIcons.values());
-  const indexContent = generateIndex(icons);
-  writeFileSync(INDEX_PATH, indexContent);
+  writeEntries(icons);
+
+  await generateSprite();
+  await generateManifest();
   
   console.log(`\n✅ Incremental build complete (${icons.length} total icons)`);
 }
@@ -704,6 +1128,10 @@ async function fullBuild() {
     mkdirSync(OUTPUT_DIR, { recursive: true });
   }
 
+  // src/svg/ is fully generated, recreate it
+  rmSync(SVG_OUTPUT_DIR, { recursive: true, force: true });
+  mkdirSync(SVG_OUTPUT_DIR, { recursive: true });
+
   // Ensure SVG directories exist
   if (!existsSync(NOCOLORS_DIR)) {
     mkdirSync(NOCOLORS_DIR, { recursive: true });
@@ -713,23 +1141,42 @@ async function fullBuild() {
   }
 
   const icons = [];
+  const sanitized = [];
+  const misplaced = [];
+
+  // Process every source directory
+  for (const [dir, type] of SOURCE_DIRS) {
+    await processDirectory(dir, type, icons, sanitized, misplaced);
+  }
 
-  // Process both directories
-  await processDirectory(NOCOLORS_DIR, 'nocolors', icons);
-  await processDirectory(COLORS_DIR, 'colors', icons);
+  // Generate index.ts, framework wrappers and the svg map from the same icon list
+  writeEntries(icons);
 
-  // Generate index.ts
-  const indexContent = generateIndex(icons);
-  writeFileSync(INDEX_PATH, indexContent);
+  // Generate sprite sheet for pages that can't run custom elements
+  console.log('');
+  await generateSprite();
+  await generateManifest();
 
   if (icons.length === 0) {
-    console.log('\n⚠️  No icons generated. Add SVG files to svg/nocolors/ or svg/colors/');
+    console.log('\n⚠️  No icons generated. Add SVG files to svg/nocolors/, svg/colors/ or svg/duotone/');
   } else {
     console.log(`\n🎉 Generated ${icons.length} icon component(s)`);
     const nocolorsCount = icons.filter((i) => i.type === 'nocolors').length;
     const colorsCount = icons.filter((i) => i.type === 'colors').length;
     console.log(`   - nocolors (CSS colorable): ${nocolorsCount}`);
+    const duotoneCount = icons.filter((i) => i.type === 'duotone').length;
     console.log(`   - colors (preserved): ${colorsCount}`);
+    console.log(`   - duotone (two CSS colors): ${duotoneCount}`);
+  }
+
+  if (sanitized.length > 0) {
+    console.log(`\n🛡️  Removed unsafe content from ${sanitized.length} file(s), fix the sources:`);
+    sanitized.forEach((file) => console.log(`   - ${file}`));
+  }
+
+  if (misplaced.length > 0) {
+    console.log(`\n🎨 ${misplaced.length} file(s) look like they belong in another directory:`);
+    misplaced.forEach((file) => console.log(`   - ${file}`));
   }
 }
 
@@ -3,8 +3,8 @@
  *
  * Generates a static HTML preview page for all icons.
  * The page includes:
- * - Fuzzy search/filter
- * - Color demo (for nocolors icons)
+ * - Fuzzy search/filter (also by display names and keywords from dist/icons.json)
+ * - Color demo (for nocolors and duotone icons)
  * - Size demo slider
  *
  * Template: scripts/preview-template.html
@@ -48,7 +48,7 @@ function getActualTagNames() {
 
 /**
  * Get icon type from src/icons directory
- * @returns {Map<string, 'nocolors' | 'colors'>}
+ * @returns {Map<string, 'nocolors' | 'colors' | 'duotone'>}
  */
 function getIconTypes() {
   const typeMap = new Map();
@@ -59,11 +59,13 @@ function getIconTypes() {
     for (const file of files) {
       const content = readFileSync(join(srcIconsDir, file), 'utf-8');
       const safeName = basename(file, '.ts');
-      // Check if it's colorable (has color property and fill: currentColor)
-      if (content.includes('fill: currentColor') && content.includes('color?: string')) {
-        typeMap.set(safeName, 'nocolors');
-      } else {
+      // Colors icons extend QxIconColorsBase, duotone ones QxIconDuotoneBase, everything else is colorable
+      if (content.includes('extends QxIconColorsBase')) {
         typeMap.set(safeName, 'colors');
+      } else if (content.includes('extends QxIconDuotoneBase')) {
+        typeMap.set(safeName, 'duotone');
+      } else {
+        typeMap.set(safeName, 'nocolors');
       }
     }
   }
@@ -71,6 +73,23 @@ function getIconTypes() {
   return typeMap;
 }
 
+/**
+ * Read icon metadata (display names, keywords, category) from dist/icons.json
+ * @returns {Map<string, object>} Map of safe filename to metadata entry
+ */
+function getIconMetadata() {
+  const metaMap = new Map();
+  const manifestPath = join(DIST_DIR, 'icons.json');
+
+  if (existsSync(manifestPath)) {
+    for (const entry of JSON.parse(readFileSync(manifestPath, 'utf-8'))) {
+      metaMap.set(entry.name, entry);
+    }
+  }
+
+  return metaMap;
+}
+
 /**
  * Generate the preview HTML page by reading template and injecting data
  * @returns {string} Generated HTML
@@ -86,14 +105,19 @@ function generatePreviewPage() {
   // Get actual tag names from built files
   const tagMap = getActualTagNames();
   const typeMap = getIconTypes();
+  const metaMap = getIconMetadata();
 
   // Build icons array from dist
   const icons = [];
   for (const [safeName, tagName] of tagMap) {
+    const meta = metaMap.get(safeName);
     icons.push({
       safeName,
       tagName,
       type: typeMap.get(safeName) || 'nocolors',
+      title: meta?.title || {},
+      keywords: meta?.keywords || [],
+      category: meta?.category,
     });
   }
 
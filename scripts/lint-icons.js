@@ -0,0 +1,63 @@
+/**
+ * Lint SVG files in nocolors/, colors/ and duotone/ against the quality rules
+ *
+ * Rules and severities: see `svg-lint.js` and `svg/lint.json`.
+ * Exits with 1 when any rule at "error" severity fails.
+ *
+ * Usage:
+ *   node scripts/lint-icons.js          # Human-readable report
+ *   node scripts/lint-icons.js --json   # JSON report on stdout
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadLintConfig, lintSvg } from './svg-lint.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+const NOCOLORS_DIR = join(ROOT_DIR, 'svg', 'nocolors');
+const COLORS_DIR = join(ROOT_DIR, 'svg', 'colors');
+const DUOTONE_DIR = join(ROOT_DIR, 'svg', 'duotone');
+
+function main() {
+  const json = process.argv.includes('--json');
+  const config = loadLintConfig();
+  const files = [];
+
+  for (const [dir, type] of [[NOCOLORS_DIR, 'nocolors'], [COLORS_DIR, 'colors'], [DUOTONE_DIR, 'duotone']]) {
+    if (!existsSync(dir)) continue;
+    for (const file of readdirSync(dir).filter((f) => f.endsWith('.svg'))) {
+      let messages;
+      try {
+        messages = lintSvg(readFileSync(join(dir, file), 'utf-8'), type, config);
+      } catch (err) {
+        messages = [{ rule: 'parse', severity: 'error', message: `Invalid SVG: ${err.message}` }];
+      }
+      files.push({ file: `${type}/${file}`, messages });
+    }
+  }
+
+  const all = files.flatMap((f) => f.messages);
+  const errorCount = all.filter((m) => m.severity === 'error').length;
+  const warningCount = all.length - errorCount;
+
+  if (json) {
+    console.log(JSON.stringify({ errorCount, warningCount, files: files.filter((f) => f.messages.length > 0) }, null, 2));
+  } else {
+    for (const { file, messages } of files) {
+      if (messages.length === 0) continue;
+      console.log(`  ${file}`);
+      for (const { rule, severity, message } of messages) {
+        console.log(`    ${severity === 'error' ? '❌' : '⚠️ '} ${rule}: ${message}`);
+      }
+    }
+    const summary = `${errorCount} error(s), ${warningCount} warning(s) in ${files.length} file(s)`;
+    console.log(errorCount > 0 ? `\n❌ SVG lint failed: ${summary}` : `✅ SVG lint passed: ${summary}`);
+  }
+
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,115 @@
+/**
+ * Output naming for SVG files
+ *
+ * Shared by the generator, the dev server upload and the duplicate check,
+ * so every script agrees on the file, component and tag name of an icon.
+ *
+ * Dark variants of colors icons (`fire.dark.svg` next to `fire.svg`) belong
+ * to their light icon and don't get names of their own.
+ *
+ * Usage:
+ *   import { toSafeFileName, toComponentName, toTagName } from './naming.js';
+ *   toTagName('设置.svg'); // → 'qxw-icon-shezhi'
+ */
+
+import { basename } from 'node:path';
+import { pinyin } from 'pinyin';
+
+const DARK_SUFFIX = '.dark.svg';
+
+/**
+ * Sanitize filename to safe ASCII for module names
+ * Converts Chinese characters to pinyin, removes/replaces unsafe chars
+ * @param {string} str - Original filename without extension
+ * @returns {string} Safe ASCII string
+ */
+export function sanitizeFileName(str) {
+  // Convert Chinese characters to pinyin
+  let result = pinyin(str, {
+    style: 'normal',       // Use normal spelling (no tones)
+    segment: false,        // Don't segment, char by char
+    group: false,          // Don't group by word
+  }).join('');
+  
+  // Replace unsafe characters with hyphens (underscore is not valid in custom element names)
+  result = result.replace(/[^a-zA-Z0-9]+/g, '-');
+  
+  // Clean up multiple hyphens, remove leading/trailing hyphens
+  return result
+    .replace(/-+/g, '-')
+    .replace(/-+$/, '')
+    .replace(/^-+/, '')
+    .toLowerCase();
+}
+
+/**
+ * Convert kebab-case to PascalCase
+ * @param {string} str - kebab-case string
+ * @returns {string} PascalCase string
+ */
+function toPascalCase(str) {
+  // First sanitize to ensure ASCII
+  const safeStr = sanitizeFileName(str);
+  return safeStr
+    .split('-')
+    .filter(part => part.length > 0)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+    .join('');
+}
+
+/**
+ * Convert filename to safe filename (for output files)
+ * @param {string} filename - Original filename
+ * @returns {string} Safe filename
+ */
+export function toSafeFileName(filename) {
+  const name = basename(filename, '.svg');
+  return sanitizeFileName(name);
+}
+
+/**
+ * Convert filename to component name
+ * @param {string} filename - SVG filename (e.g., "arrow-left.svg")
+ * @returns {string} Component name (e.g., "QxIconArrowLeft")
+ */
+export function toComponentName(filename) {
+  const safeName = toSafeFileName(filename);
+  return 'QxIcon' + toPascalCase(safeName);
+}
+
+/**
+ * Convert filename to tag name
+ * @param {string} filename - SVG filename (e.g., "arrow-left.svg")
+ * @returns {string} Tag name (e.g., "qxw-icon-arrow-left")
+ */
+export function toTagName(filename) {
+  const safeName = toSafeFileName(filename);
+  return 'qxw-icon-' + safeName.toLowerCase();
+}
+
+/**
+ * Whether a file is the dark variant of another icon
+ * @param {string} filename - SVG filename (e.g., "fire.dark.svg")
+ * @returns {boolean}
+ */
+export function isDarkVariant(filename) {
+  return filename.endsWith(DARK_SUFFIX);
+}
+
+/**
+ * Filename of the dark variant of an icon
+ * @param {string} filename - SVG filename (e.g., "fire.svg")
+ * @returns {string} Dark variant filename (e.g., "fire.dark.svg")
+ */
+export function toDarkVariant(filename) {
+  return basename(filename, '.svg') + DARK_SUFFIX;
+}
+
+/**
+ * Filename of the icon a dark variant belongs to
+ * @param {string} filename - Dark variant filename (e.g., "fire.dark.svg")
+ * @returns {string} Light icon filename (e.g., "fire.svg")
+ */
+export function fromDarkVariant(filename) {
+  return basename(filename, DARK_SUFFIX) + '.svg';
+}
@@ -0,0 +1,680 @@
+/**
+ * Build-time geometry for SVG icons
+ *
+ * Computes the tight box around the rendered geometry of an SVG (paths,
+ * basic shapes, transforms and stroke width included), so `auto-crop` can
+ * swap in a precomputed viewBox instead of calling getBBox() in the browser.
+ * The same walker flattens the geometry into polylines for content-based
+ * duplicate detection (see `svg-fingerprint.js`).
+ *
+ * Usage:
+ *   import { computeBBox, computeOutline } from './svg-bbox.js';
+ *   computeBBox('<svg ...>...</svg>'); // → { x, y, width, height } | null
+ *   computeOutline('<svg ...>...</svg>'); // → [[x, y], ...][]
+ */
+
+import { optimize } from 'svgo';
+
+// Elements whose children are never painted directly
+const NON_RENDERED = new Set([
+  'defs', 'clipPath', 'mask', 'marker', 'pattern', 'symbol',
+  'linearGradient', 'radialGradient', 'filter', 'title', 'desc', 'metadata', 'style',
+]);
+
+// Number of points sampled per elliptical arc / ellipse
+const ARC_SAMPLES = 64;
+
+// Number of points sampled per Bézier segment when flattening outlines
+const CURVE_SAMPLES = 16;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Multiply two affine matrices [a, b, c, d, e, f]
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]} m1 × m2
+ */
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+/**
+ * Apply an affine matrix to a point
+ * @param {number[]} m - Matrix
+ * @param {number} x
+ * @param {number} y
+ * @returns {[number, number]}
+ */
+function apply(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Extract numbers from an attribute value
+ * @param {string} str
+ * @returns {number[]}
+ */
+function parseNumbers(str) {
+  return (str.match(/-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+}
+
+/**
+ * Parse an SVG transform attribute into a matrix
+ * @param {string | undefined} transform
+ * @returns {number[]}
+ */
+function parseTransform(transform) {
+  let matrix = IDENTITY;
+  if (!transform) return matrix;
+
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(transform)) !== null) {
+    const [name, args] = [match[1], parseNumbers(match[2])];
+    let m = IDENTITY;
+    switch (name) {
+      case 'matrix':
+        if (args.length === 6) m = args;
+        break;
+      case 'translate':
+        m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        m = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case 'rotate': {
+        const rad = ((args[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const [cx = 0, cy = 0] = args.slice(1);
+        m = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]),
+          [1, 0, 0, 1, -cx, -cy],
+        );
+        break;
+      }
+      case 'skewX':
+        m = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        m = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+    matrix = multiply(matrix, m);
+  }
+  return matrix;
+}
+
+/**
+ * Read a presentation property from the style attribute or the attribute itself
+ * @param {Record<string, string>} attributes
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function getPresentation(attributes, name) {
+  if (attributes.style) {
+    const match = attributes.style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+    if (match) return match[1].trim();
+  }
+  return attributes[name];
+}
+
+/**
+ * Tokenize path data into commands and numbers
+ * Arc flags may be written without separators (e.g. "a1 1 0 00 1 1"),
+ * so they are read one character at a time.
+ * @param {string} d - Path data
+ * @returns {Array<{command: string, args: number[]}>}
+ */
+function parsePathData(d) {
+  const segments = [];
+  const numberRe = /^[\s,]*(-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/;
+  const flagRe = /^[\s,]*([01])/;
+  const argCounts = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+  let rest = d.trim();
+
+  while (rest.length > 0) {
+    const commandMatch = rest.match(/^[\s,]*([MmLlHhVvCcSsQqTtAaZz])/);
+    if (!commandMatch) break;
+    const command = commandMatch[1];
+    rest = rest.slice(commandMatch[0].length);
+
+    const count = argCounts[command.toLowerCase()];
+    if (count === 0) {
+      segments.push({ command, args: [] });
+      continue;
+    }
+
+    // Commands may repeat their argument groups implicitly
+    let first = true;
+    for (;;) {
+      const args = [];
+      let consumed = rest;
+      for (let i = 0; i < count; i++) {
+        const isFlag = command.toLowerCase() === 'a' && (i === 3 || i === 4);
+        const match = consumed.match(isFlag ? flagRe : numberRe);
+        if (!match) break;
+        args.push(Number(match[1]));
+        consumed = consumed.slice(match[0].length);
+      }
+      if (args.length < count) break;
+      rest = consumed;
+      // Implicit repeats of moveto are lineto
+      const repeated = !first && command.toLowerCase() === 'm'
+        ? (command === 'm' ? 'l' : 'L')
+        : command;
+      segments.push({ command: repeated, args });
+      first = false;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Roots of a·t² + b·t + c = 0 within (0, 1)
+ * @returns {number[]}
+ */
+function unitRoots(a, b, c) {
+  const roots = [];
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) > 1e-12) roots.push(-c / b);
+  } else {
+    const disc = b * b - 4 * a * c;
+    if (disc >= 0) {
+      const sq = Math.sqrt(disc);
+      roots.push((-b + sq) / (2 * a), (-b - sq) / (2 * a));
+    }
+  }
+  return roots.filter((t) => t > 0 && t < 1);
+}
+
+/**
+ * Points on the outline of a cubic Bézier that bound it (ends + extrema)
+ * @param {number[][]} p - Four control points
+ * @returns {number[][]}
+ */
+function cubicExtrema(p) {
+  const points = [p[0], p[3]];
+  for (const axis of [0, 1]) {
+    const [p0, p1, p2, p3] = p.map((pt) => pt[axis]);
+    const a = 3 * (-p0 + 3 * p1 - 3 * p2 + p3);
+    const b = 6 * (p0 - 2 * p1 + p2);
+    const c = 3 * (p1 - p0);
+    for (const t of unitRoots(a, b, c)) {
+      const mt = 1 - t;
+      points.push([0, 1].map((k) => (
+        mt * mt * mt * p[0][k] + 3 * mt * mt * t * p[1][k] + 3 * mt * t * t * p[2][k] + t * t * t * p[3][k]
+      )));
+    }
+  }
+  return points;
+}
+
+/**
+ * Points on the outline of a quadratic Bézier that bound it (ends + extrema)
+ * @param {number[][]} p - Three control points
+ * @returns {number[][]}
+ */
+function quadraticExtrema(p) {
+  const points = [p[0], p[2]];
+  for (const axis of [0, 1]) {
+    const [p0, p1, p2] = p.map((pt) => pt[axis]);
+    const denom = p0 - 2 * p1 + p2;
+    if (Math.abs(denom) < 1e-12) continue;
+    const t = (p0 - p1) / denom;
+    if (t > 0 && t < 1) {
+      const mt = 1 - t;
+      points.push([0, 1].map((k) => mt * mt * p[0][k] + 2 * mt * t * p[1][k] + t * t * p[2][k]));
+    }
+  }
+  return points;
+}
+
+/**
+ * Sample an elliptical arc (SVG endpoint parameterization)
+ * @returns {number[][]} Points along the arc, in local coordinates
+ */
+function sampleArc(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (!rx || !ry) return [[x1, y1], [x2, y2]];
+
+  // Endpoint to center conversion (SVG spec, appendix B.2.4)
+  const phi = (angle * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let coef = den ? Math.sqrt(Math.max(0, num / den)) : 0;
+  if (largeArc === sweep) coef = -coef;
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const vectorAngle = (ux, uy, vx, vy) => {
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+    return sign * Math.acos(Math.min(1, Math.max(-1, dot)));
+  };
+  const theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const points = [];
+  for (let i = 0; i <= ARC_SAMPLES; i++) {
+    const theta = theta1 + (delta * i) / ARC_SAMPLES;
+    const ex = rx * Math.cos(theta);
+    const ey = ry * Math.sin(theta);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  return points;
+}
+
+/**
+ * Sample a full ellipse
+ * @returns {number[][]}
+ */
+function sampleEllipse(cx, cy, rx, ry) {
+  const points = [];
+  for (let i = 0; i < ARC_SAMPLES; i++) {
+    const theta = (2 * Math.PI * i) / ARC_SAMPLES;
+    points.push([cx + rx * Math.cos(theta), cy + ry * Math.sin(theta)]);
+  }
+  return points;
+}
+
+/**
+ * Resolve path data into absolute segments in local coordinates
+ * Shorthand commands (H/V/S/T) are expanded and relative coordinates
+ * made absolute, so consumers only handle move, line, cubic, quad, arc and close.
+ * @param {string} d - Path data
+ * @returns {Array<{type: string, from: number[], to: number[], controls?: number[][], arc?: number[]}>}
+ */
+function pathSegments(d) {
+  const segments = [];
+  let cx = 0;
+  let cy = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null;
+  let lastCommand = '';
+
+  for (const { command, args } of parsePathData(d)) {
+    const rel = command === command.toLowerCase() && command !== 'z';
+    const ox = rel ? cx : 0;
+    const oy = rel ? cy : 0;
+    const upper = command.toUpperCase();
+    const from = [cx, cy];
+
+    switch (upper) {
+      case 'M':
+        cx = args[0] + ox;
+        cy = args[1] + oy;
+        startX = cx;
+        startY = cy;
+        segments.push({ type: 'move', from, to: [cx, cy] });
+        break;
+      case 'L':
+        cx = args[0] + ox;
+        cy = args[1] + oy;
+        segments.push({ type: 'line', from, to: [cx, cy] });
+        break;
+      case 'H':
+        cx = args[0] + ox;
+        segments.push({ type: 'line', from, to: [cx, cy] });
+        break;
+      case 'V':
+        cy = args[0] + oy;
+        segments.push({ type: 'line', from, to: [cx, cy] });
+        break;
+      case 'C':
+      case 'S': {
+        let c1;
+        if (upper === 'C') {
+          c1 = [args[0] + ox, args[1] + oy];
+        } else {
+          // Reflect previous control point
+          c1 = lastControl && /[CS]/i.test(lastCommand)
+            ? [2 * cx - lastControl[0], 2 * cy - lastControl[1]]
+            : [cx, cy];
+        }
+        const rest = upper === 'C' ? args.slice(2) : args;
+        const c2 = [rest[0] + ox, rest[1] + oy];
+        const end = [rest[2] + ox, rest[3] + oy];
+        segments.push({ type: 'cubic', from, controls: [c1, c2], to: end });
+        lastControl = c2;
+        [cx, cy] = end;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let c1;
+        if (upper === 'Q') {
+          c1 = [args[0] + ox, args[1] + oy];
+        } else {
+          c1 = lastControl && /[QT]/i.test(lastCommand)
+            ? [2 * cx - lastControl[0], 2 * cy - lastControl[1]]
+            : [cx, cy];
+        }
+        const end = upper === 'Q' ? [args[2] + ox, args[3] + oy] : [args[0] + ox, args[1] + oy];
+        segments.push({ type: 'quad', from, controls: [c1], to: end });
+        lastControl = c1;
+        [cx, cy] = end;
+        break;
+      }
+      case 'A': {
+        const end = [args[5] + ox, args[6] + oy];
+        segments.push({ type: 'arc', from, arc: args.slice(0, 5), to: end });
+        [cx, cy] = end;
+        break;
+      }
+      case 'Z':
+        cx = startX;
+        cy = startY;
+        segments.push({ type: 'close', from, to: [cx, cy] });
+        break;
+    }
+
+    if (!/[CSQT]/.test(upper)) lastControl = null;
+    lastCommand = command;
+  }
+
+  return segments;
+}
+
+/**
+ * Bounding points of path data, after applying a matrix
+ * Bézier control points are transformed before computing extrema, which is
+ * exact because affine transforms preserve Bézier curves.
+ * @param {string} d - Path data
+ * @param {number[]} m - Current transform matrix
+ * @returns {number[][]}
+ */
+function pathPoints(d, m) {
+  const points = [];
+  const t = (x, y) => apply(m, x, y);
+
+  for (const { type, from, controls, arc, to } of pathSegments(d)) {
+    switch (type) {
+      case 'move':
+      case 'line':
+        points.push(t(...to));
+        break;
+      case 'cubic':
+        points.push(...cubicExtrema([from, ...controls, to].map((p) => t(...p))));
+        break;
+      case 'quad':
+        points.push(...quadraticExtrema([from, ...controls, to].map((p) => t(...p))));
+        break;
+      case 'arc':
+        sampleArc(...from, ...arc, ...to).forEach(([x, y]) => points.push(t(x, y)));
+        break;
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Bounding points of a single shape element, after applying a matrix
+ * @param {string} name - Element name
+ * @param {Record<string, string>} attrs - Element attributes
+ * @param {number[]} m - Current transform matrix
+ * @returns {number[][]}
+ */
+function shapePoints(name, attrs, m) {
+  const num = (key) => parseFloat(attrs[key]) || 0;
+
+  switch (name) {
+    case 'path':
+      return attrs.d ? pathPoints(attrs.d, m) : [];
+    case 'rect': {
+      const [x, y, w, h] = [num('x'), num('y'), num('width'), num('height')];
+      if (!w || !h) return [];
+      return [[x, y], [x + w, y], [x, y + h], [x + w, y + h]].map(([px, py]) => apply(m, px, py));
+    }
+    case 'circle':
+      return sampleEllipse(num('cx'), num('cy'), num('r'), num('r')).map(([x, y]) => apply(m, x, y));
+    case 'ellipse':
+      return sampleEllipse(num('cx'), num('cy'), num('rx'), num('ry')).map(([x, y]) => apply(m, x, y));
+    case 'line':
+      return [apply(m, num('x1'), num('y1')), apply(m, num('x2'), num('y2'))];
+    case 'polyline':
+    case 'polygon': {
+      const values = parseNumbers(attrs.points || '');
+      const points = [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push(apply(m, values[i], values[i + 1]));
+      }
+      return points;
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Collect elements with an id, for resolving <use> references
+ * @param {object} node - xast node
+ * @param {Map<string, object>} ids - id → element
+ */
+function collectIds(node, ids) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (child.attributes.id) ids.set(child.attributes.id, child);
+    collectIds(child, ids);
+  }
+}
+
+/**
+ * Visit every rendered shape element of an SVG with its inherited state
+ * `<use>` references are expanded; unrendered containers and
+ * `display: none` subtrees are skipped.
+ * @param {string} svg - SVG content
+ * @param {(node: object, state: {matrix: number[], stroke: string, strokeWidth: number}) => void} visit
+ */
+function walkShapes(svg, visit) {
+  const ids = new Map();
+
+  /**
+   * Walk an element with the state inherited from its parent
+   * @param {object} node - xast element
+   * @param {{matrix: number[], stroke: string, strokeWidth: number}} parent
+   * @param {Set<object>} using - <use> targets being expanded (cycle guard)
+   */
+  const walk = (node, parent, using) => {
+    const attrs = node.attributes;
+    if (NON_RENDERED.has(node.name) || getPresentation(attrs, 'display') === 'none') return;
+
+    const state = {
+      // The root <svg> viewBox/x/y are not transforms of its content
+      matrix: node.name === 'svg' ? parent.matrix : multiply(parent.matrix, parseTransform(attrs.transform)),
+      stroke: getPresentation(attrs, 'stroke') ?? parent.stroke,
+      strokeWidth: parseFloat(getPresentation(attrs, 'stroke-width') ?? '') || parent.strokeWidth,
+    };
+
+    if (node.name === 'use') {
+      const href = (attrs.href || attrs['xlink:href'] || '').replace(/^#/, '');
+      const target = ids.get(href);
+      if (!target || using.has(target)) return;
+      const offset = [1, 0, 0, 1, parseFloat(attrs.x) || 0, parseFloat(attrs.y) || 0];
+      // Referenced elements are rendered even when defined inside <defs>
+      const { name, ...rest } = target;
+      walk({ ...rest, name: name === 'symbol' ? 'g' : name }, { ...state, matrix: multiply(state.matrix, offset) }, new Set([...using, target]));
+      return;
+    }
+
+    visit(node, state);
+
+    for (const child of node.children || []) {
+      if (child.type === 'element') walk(child, state, using);
+    }
+  };
+
+  // Parse through SVGO's public plugin API and walk the tree ourselves
+  optimize(svg, {
+    plugins: [
+      {
+        name: 'walkShapes',
+        fn: () => ({
+          root: {
+            enter: (root) => {
+              collectIds(root, ids);
+              const initial = { matrix: IDENTITY, stroke: 'none', strokeWidth: 1 };
+              for (const child of root.children) {
+                if (child.type === 'element') walk(child, initial, new Set());
+              }
+            },
+          },
+        }),
+      },
+    ],
+  });
+}
+
+/**
+ * Compute the tight bounding box of an SVG's rendered geometry
+ * Strokes are included by padding each stroked element by half its
+ * (transformed) stroke width.
+ * @param {string} svg - SVG content
+ * @returns {{x: number, y: number, width: number, height: number} | null}
+ */
+export function computeBBox(svg) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  walkShapes(svg, (node, state) => {
+    const points = shapePoints(node.name, node.attributes, state.matrix);
+    if (points.length === 0) return;
+
+    const [a, b, c, d] = state.matrix;
+    const pad = state.stroke && state.stroke !== 'none'
+      ? (state.strokeWidth * Math.sqrt(Math.abs(a * d - b * c))) / 2
+      : 0;
+
+    for (const [x, y] of points) {
+      minX = Math.min(minX, x - pad);
+      minY = Math.min(minY, y - pad);
+      maxX = Math.max(maxX, x + pad);
+      maxY = Math.max(maxY, y + pad);
+    }
+  });
+
+  if (!Number.isFinite(minX) || maxX - minX <= 0 || maxY - minY <= 0) {
+    return null;
+  }
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Point on a Bézier curve of any degree (de Casteljau)
+ * @param {number[][]} p - Control points
+ * @param {number} t
+ * @returns {number[]}
+ */
+function bezierPoint(p, t) {
+  let points = p;
+  while (points.length > 1) {
+    points = points.slice(1).map((pt, i) => [0, 1].map((k) => points[i][k] + (pt[k] - points[i][k]) * t));
+  }
+  return points[0];
+}
+
+/**
+ * Flatten path data into polylines, one per subpath
+ * @param {string} d - Path data
+ * @param {number[]} m - Current transform matrix
+ * @returns {number[][][]}
+ */
+function pathPolylines(d, m) {
+  const polylines = [];
+  let current = null;
+
+  for (const { type, from, controls, arc, to } of pathSegments(d)) {
+    if (type === 'move') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = [apply(m, ...from)];
+      polylines.push(current);
+    }
+
+    switch (type) {
+      case 'line':
+        current.push(apply(m, ...to));
+        break;
+      case 'close':
+        current.push(apply(m, ...to));
+        current = null;
+        break;
+      case 'cubic':
+      case 'quad':
+        for (let i = 1; i <= CURVE_SAMPLES; i++) {
+          current.push(apply(m, ...bezierPoint([from, ...controls, to], i / CURVE_SAMPLES)));
+        }
+        break;
+      case 'arc':
+        sampleArc(...from, ...arc, ...to).slice(1).forEach(([x, y]) => current.push(apply(m, x, y)));
+        break;
+    }
+  }
+
+  return polylines;
+}
+
+/**
+ * Flatten the rendered geometry of an SVG into polylines (curves sampled)
+ * Used to fingerprint drawings regardless of how their paths are written.
+ * Strokes are not expanded: a stroked line yields its center line.
+ * @param {string} svg - SVG content
+ * @returns {number[][][]} Polylines in user coordinates
+ */
+export function computeOutline(svg) {
+  const polylines = [];
+
+  walkShapes(svg, ({ name, attributes }, { matrix }) => {
+    if (name === 'path') {
+      if (attributes.d) polylines.push(...pathPolylines(attributes.d, matrix));
+      return;
+    }
+    const points = shapePoints(name, attributes, matrix);
+    if (points.length === 0) return;
+    // Close shapes whose points go round the outline
+    if (name === 'rect') {
+      polylines.push([points[0], points[1], points[3], points[2], points[0]]);
+    } else if (name === 'line' || name === 'polyline') {
+      polylines.push(points);
+    } else {
+      polylines.push([...points, points[0]]);
+    }
+  });
+
+  return polylines;
+}
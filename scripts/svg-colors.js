@@ -0,0 +1,134 @@
+/**
+ * Color analysis for choosing the source directory of an icon
+ *
+ * Collects the distinct paints of an SVG from fill/stroke/stop-color
+ * attributes, style attributes and <style> elements:
+ * - one color (or none): `svg/nocolors/`
+ * - exactly two colors: `svg/duotone/`, both become CSS custom properties
+ * - more colors or any gradient/pattern: `svg/colors/`
+ * The nocolors pipeline (handleColorsForNocolors) flattens everything to
+ * `currentColor`, and the duotone one only maps two colors.
+ *
+ * Used by the generator (warns), the SVG lint rule `color-classification`
+ * and the dev server upload (`targetDir=auto`).
+ *
+ * Usage:
+ *   import { analyzeColors } from './svg-colors.js';
+ *   analyzeColors(content); // → { colors: ['#333333'], paintServers: 0, suggestedType: 'nocolors' }
+ */
+
+import { optimize } from 'svgo';
+
+const PAINT_ATTRIBUTES = ['fill', 'stroke', 'stop-color'];
+
+const PAINT_PROPERTIES = /(?:^|[;{\s])(fill|stroke|stop-color)\s*:\s*([^;}]+)/gi;
+
+// Values that don't add a color of their own
+const NEUTRAL_PAINTS = new Set(['none', 'currentcolor', 'transparent', 'inherit', 'context-fill', 'context-stroke']);
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  gray: '#808080',
+  grey: '#808080',
+};
+
+/**
+ * Normalize a paint value so equal colors compare equal
+ * @param {string} value - Paint value
+ * @returns {string | null} `#rrggbb` (or the lowercased value), `url` for
+ *   paint servers, null for neutral paints
+ */
+export function normalizePaint(value) {
+  const paint = value.replace(/!important/i, '').trim().toLowerCase();
+  if (!paint || NEUTRAL_PAINTS.has(paint)) return null;
+  if (paint.startsWith('url(')) return 'url';
+
+  const short = paint.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+
+  const rgb = paint.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  if (rgb) {
+    return `#${rgb.slice(1, 4).map((n) => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  return NAMED_COLORS[paint] || paint;
+}
+
+/**
+ * Collect the distinct paints of an SVG
+ * Throws when the markup can't be parsed.
+ * @param {string} svg - SVG content
+ * @returns {{colors: string[], paintServers: number, suggestedType: 'nocolors' | 'colors' | 'duotone'}}
+ *   Distinct normalized colors, number of gradient/pattern references and
+ *   the directory the icon belongs in
+ */
+export function analyzeColors(svg) {
+  const colors = new Set();
+  let paintServers = 0;
+
+  const add = (value) => {
+    const paint = normalizePaint(value);
+    if (paint === 'url') paintServers++;
+    else if (paint) colors.add(paint);
+  };
+
+  optimize(svg, {
+    plugins: [
+      {
+        name: 'analyzeColors',
+        fn: () => ({
+          element: {
+            enter: (node) => {
+              for (const name of PAINT_ATTRIBUTES) {
+                if (node.attributes[name]) add(node.attributes[name]);
+              }
+              const styles = [node.attributes.style || ''];
+              if (node.name === 'style') {
+                styles.push(node.children.map((child) => child.value || '').join(''));
+              }
+              for (const style of styles) {
+                for (const [, , value] of style.matchAll(PAINT_PROPERTIES)) add(value);
+              }
+            },
+          },
+        }),
+      },
+    ],
+  });
+
+  let suggestedType = 'nocolors';
+  if (colors.size > 2 || paintServers > 0) suggestedType = 'colors';
+  else if (colors.size === 2) suggestedType = 'duotone';
+
+  return { colors: [...colors].sort(), paintServers, suggestedType };
+}
+
+/**
+ * Describe why an icon is in the wrong directory
+ * @param {{colors: string[], paintServers: number, suggestedType: string}} analysis - From analyzeColors
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Directory the icon is in
+ * @returns {string | null} Message, or null when the icon is in the right place
+ */
+export function describeMisclassification(analysis, type) {
+  const { colors, paintServers, suggestedType } = analysis;
+  if (suggestedType === type) return null;
+
+  const target = `move it to svg/${suggestedType}/`;
+  if (type === 'nocolors' || (type === 'duotone' && suggestedType === 'colors')) {
+    const lost = [
+      colors.length > 1 && `${colors.length} colors (${colors.join(', ')})`,
+      paintServers > 0 && `${paintServers} gradient/pattern fill(s)`,
+    ].filter(Boolean).join(' and ');
+    const pipeline = type === 'nocolors' ? 'when flattened to currentColor' : 'with only two themeable colors';
+    return `Would lose ${lost} ${pipeline}, ${target}`;
+  }
+  if (suggestedType === 'duotone') {
+    return `Uses two colors (${colors.join(', ')}), ${target} to make them themeable`;
+  }
+  const color = colors[0] ? `a single color (${colors[0]})` : 'no color of its own';
+  return `Uses ${color}, ${target} to make it themeable`;
+}
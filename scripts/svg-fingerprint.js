@@ -0,0 +1,159 @@
+/**
+ * Content fingerprints for duplicate icon detection
+ *
+ * Each SVG gets two fingerprints:
+ * - hash: SHA-1 of the normalized markup (optimized, ids/colors/styles
+ *   stripped, coordinates rounded). Equal for the same file saved twice.
+ * - grid: occupancy grid of the flattened outline, scaled to the drawing's
+ *   bounding box. Compared with one cell of tolerance to score drawings that
+ *   differ in path syntax, precision or viewBox size.
+ *
+ * Usage:
+ *   import { fingerprintSvg, compareFingerprints } from './svg-fingerprint.js';
+ *   compareFingerprints(fingerprintSvg(a), fingerprintSvg(b)); // → 0..1
+ */
+
+import { createHash } from 'node:crypto';
+import { optimize } from 'svgo';
+import { computeOutline } from './svg-bbox.js';
+
+// Cells per side of the outline grid
+const GRID_SIZE = 64;
+
+// Attributes that don't change the drawing's shape
+const STRIPPED_ATTRS = new Set([
+  'id', 'class', 'style', 'color', 'fill', 'stroke', 'opacity', 'fill-opacity', 'stroke-opacity',
+  'stop-color', 'stop-opacity', 'flood-color', 'lighting-color', 'width', 'height', 'version',
+]);
+
+const stripAttributes = {
+  name: 'stripAttributes',
+  fn: () => ({
+    element: {
+      enter: (node) => {
+        for (const name of Object.keys(node.attributes)) {
+          if (STRIPPED_ATTRS.has(name) || name.startsWith('data-')) delete node.attributes[name];
+        }
+      },
+    },
+  }),
+};
+
+/**
+ * Normalize SVG markup for comparison
+ * convertPathData can crash on malformed paths (see svgo.config.cjs), so
+ * optimization is retried without it.
+ * @param {string} svg - SVG content
+ * @returns {string} Normalized markup
+ */
+export function normalizeSvg(svg) {
+  const run = (overrides) => optimize(svg, {
+    floatPrecision: 1,
+    plugins: [{ name: 'preset-default', params: { overrides } }, stripAttributes],
+  }).data;
+
+  try {
+    return run({});
+  } catch {
+    return run({ convertPathData: false });
+  }
+}
+
+/**
+ * Rasterize the outline of an SVG into an occupancy grid
+ * @param {string} svg - SVG content
+ * @returns {Uint8Array | null} GRID_SIZE² cells, or null without geometry
+ */
+function outlineGrid(svg) {
+  const polylines = computeOutline(svg);
+  const points = polylines.flat();
+  if (points.length === 0) return null;
+
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+
+  // Keep the aspect ratio and center the drawing
+  const scale = (GRID_SIZE - 1) / Math.max(width, height, 1e-9);
+  const offsetX = (GRID_SIZE - 1 - width * scale) / 2;
+  const offsetY = (GRID_SIZE - 1 - height * scale) / 2;
+  const grid = new Uint8Array(GRID_SIZE * GRID_SIZE);
+  const mark = (x, y) => {
+    const col = Math.round((x - minX) * scale + offsetX);
+    const row = Math.round((y - minY) * scale + offsetY);
+    grid[row * GRID_SIZE + col] = 1;
+  };
+
+  for (const polyline of polylines) {
+    mark(...polyline[0]);
+    for (let i = 1; i < polyline.length; i++) {
+      const [x1, y1] = polyline[i - 1];
+      const [x2, y2] = polyline[i];
+      const steps = Math.ceil(Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1)) * scale) + 1;
+      for (let s = 1; s <= steps; s++) {
+        mark(x1 + ((x2 - x1) * s) / steps, y1 + ((y2 - y1) * s) / steps);
+      }
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Fingerprint an SVG
+ * @param {string} svg - SVG content
+ * @returns {{hash: string, grid: Uint8Array | null}}
+ */
+export function fingerprintSvg(svg) {
+  const normalized = normalizeSvg(svg);
+  return {
+    hash: createHash('sha1').update(normalized).digest('hex'),
+    grid: outlineGrid(svg),
+  };
+}
+
+/**
+ * Count the cells of `a` that have a cell of `b` within one cell
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {[number, number]} [matched, total]
+ */
+function coverage(a, b) {
+  let matched = 0;
+  let total = 0;
+  for (let row = 0; row < GRID_SIZE; row++) {
+    for (let col = 0; col < GRID_SIZE; col++) {
+      if (!a[row * GRID_SIZE + col]) continue;
+      total++;
+      search: for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const r = row + dy;
+          const c = col + dx;
+          if (r >= 0 && r < GRID_SIZE && c >= 0 && c < GRID_SIZE && b[r * GRID_SIZE + c]) {
+            matched++;
+            break search;
+          }
+        }
+      }
+    }
+  }
+  return [matched, total];
+}
+
+/**
+ * Similarity of two fingerprints
+ * @param {{hash: string, grid: Uint8Array | null}} a
+ * @param {{hash: string, grid: Uint8Array | null}} b
+ * @returns {number} 1 for identical markup, otherwise the share of outline
+ *   cells (of both drawings) that the other drawing covers
+ */
+export function compareFingerprints(a, b) {
+  if (a.hash === b.hash) return 1;
+  if (!a.grid || !b.grid) return 0;
+  const [matchedA, totalA] = coverage(a.grid, b.grid);
+  const [matchedB, totalB] = coverage(b.grid, a.grid);
+  return (matchedA + matchedB) / (totalA + totalB);
+}
@@ -0,0 +1,205 @@
+/**
+ * Quality rules for icon SVGs
+ *
+ * Each rule inspects a parsed SVG and returns problems. Severities and
+ * options come from `svg/lint.json`, in the ESLint style:
+ *   { "rules": { "viewbox-square": "warn", "max-bytes": ["error", { "max": 8192 }] } }
+ *
+ * Used by `lint-icons.js` (`npm run lint`) and the dev server upload.
+ *
+ * Usage:
+ *   import { loadLintConfig, lintSvg } from './svg-lint.js';
+ *   lintSvg(content, 'nocolors', loadLintConfig()); // → [{ rule, severity, message }]
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { optimize } from 'svgo';
+import { analyzeColors, describeMisclassification } from './svg-colors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+const LINT_CONFIG_PATH = join(ROOT_DIR, 'svg', 'lint.json');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+const COLOR_PROPERTIES = /(?:^|;)\s*(fill|stroke)\s*:\s*(?!none\b|currentColor\b|inherit\b)([^;]+)/gi;
+
+/**
+ * Rules: id → { severity, options, check(info, options, type) → string[] }
+ * `info` is the result of inspectSvg.
+ */
+const RULES = {
+  'viewbox-required': {
+    severity: 'error',
+    check: ({ root }) => (root.viewBox ? [] : ['Root <svg> has no viewBox, the icon cannot scale']),
+  },
+  'viewbox-square': {
+    severity: 'warn',
+    check: ({ viewBox }) => (viewBox && viewBox.width !== viewBox.height
+      ? [`viewBox is ${viewBox.width}x${viewBox.height}, icons should be square`]
+      : []),
+  },
+  'viewbox-size': {
+    severity: 'warn',
+    options: { sizes: [16, 20, 24, 32, 48] },
+    check: ({ viewBox }, { sizes }) => (viewBox && !(viewBox.width === viewBox.height && sizes.includes(viewBox.width))
+      ? [`viewBox is ${viewBox.width}x${viewBox.height}, expected one of ${sizes.map((s) => `${s}x${s}`).join(', ')}`]
+      : []),
+  },
+  'max-bytes': {
+    severity: 'warn',
+    options: { max: 20480 },
+    check: ({ bytes }, { max }) => (bytes > max ? [`File is ${bytes} bytes, limit is ${max}`] : []),
+  },
+  'no-raster': {
+    severity: 'error',
+    check: ({ elements, dataUris }) => [
+      ...(elements.has('image') ? ['Contains <image> raster content'] : []),
+      ...(dataUris > 0 ? [`Contains ${dataUris} embedded data: URI(s)`] : []),
+    ],
+  },
+  'no-inline-styles': {
+    severity: 'warn',
+    check: ({ styleAttributes, elements }) => [
+      ...(styleAttributes.length > 0 ? [`${styleAttributes.length} element(s) use a style attribute`] : []),
+      ...(elements.has('style') ? ['Contains a <style> element'] : []),
+    ],
+  },
+  'no-text': {
+    severity: 'error',
+    check: ({ elements }) => ['text', 'tspan', 'textPath']
+      .filter((name) => elements.has(name))
+      .map((name) => `Contains <${name}>, convert text to paths`),
+  },
+  'no-dimensions': {
+    severity: 'warn',
+    check: ({ root }) => (root.width || root.height
+      ? [`Root <svg> has hard-coded ${[root.width && `width="${root.width}"`, root.height && `height="${root.height}"`].filter(Boolean).join(' ')}`]
+      : []),
+  },
+  // handleColorsForNocolors only rewrites fill/stroke attributes (applyDuotone rewrites styles too)
+  'no-style-colors': {
+    severity: 'error',
+    types: ['nocolors'],
+    check: ({ styleAttributes, styleText }) => {
+      const colors = new Set();
+      for (const style of [...styleAttributes, styleText]) {
+        for (const [, property, value] of style.matchAll(COLOR_PROPERTIES)) {
+          colors.add(`${property.toLowerCase()}: ${value.trim()}`);
+        }
+      }
+      return colors.size > 0
+        ? [`Colors in style attributes/elements survive the nocolors pipeline: ${[...colors].join(', ')}`]
+        : [];
+    },
+  },
+  // Multi-color icons in nocolors/ are flattened, one- or two-color ones in colors/ can't be themed
+  'color-classification': {
+    severity: 'warn',
+    check: ({ colors }, options, type) => {
+      const message = describeMisclassification(colors, type);
+      return message ? [message] : [];
+    },
+  },
+};
+
+/**
+ * Load rule severities and options from svg/lint.json over the defaults
+ * @returns {Record<string, {severity: string, options: object}>}
+ */
+export function loadLintConfig() {
+  const config = existsSync(LINT_CONFIG_PATH)
+    ? JSON.parse(readFileSync(LINT_CONFIG_PATH, 'utf-8'))
+    : {};
+  const resolved = {};
+
+  for (const [id, rule] of Object.entries(RULES)) {
+    const entry = config.rules?.[id];
+    const [severity, options] = Array.isArray(entry) ? entry : [entry ?? rule.severity, {}];
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`svg/lint.json: invalid severity "${severity}" for rule ${id}`);
+    }
+    resolved[id] = { severity, options: { ...rule.options, ...options } };
+  }
+
+  for (const id of Object.keys(config.rules || {})) {
+    if (!RULES[id]) throw new Error(`svg/lint.json: unknown rule ${id}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Collect what the rules look at in one pass over the SVG
+ * @param {string} svg - SVG content
+ * @returns {object} Parsed facts about the SVG
+ */
+function inspectSvg(svg) {
+  const info = {
+    root: {},
+    viewBox: null,
+    bytes: Buffer.byteLength(svg),
+    elements: new Set(),
+    styleAttributes: [],
+    styleText: '',
+    dataUris: 0,
+    colors: analyzeColors(svg),
+  };
+
+  optimize(svg, {
+    plugins: [
+      {
+        name: 'inspectSvg',
+        fn: () => ({
+          element: {
+            enter: (node, parentNode) => {
+              if (node.name === 'svg' && parentNode.type === 'root') {
+                info.root = node.attributes;
+                const values = (node.attributes.viewBox || '').trim().split(/[\s,]+/).map(Number);
+                if (values.length === 4 && values.every(Number.isFinite)) {
+                  info.viewBox = { width: values[2], height: values[3] };
+                }
+              }
+              info.elements.add(node.name);
+              if (node.attributes.style) info.styleAttributes.push(node.attributes.style);
+              if (node.name === 'style') {
+                info.styleText += node.children.map((child) => child.value || '').join('');
+              }
+              for (const value of Object.values(node.attributes)) {
+                if (/^\s*data:/i.test(value) || /url\(\s*['"]?data:/i.test(value)) info.dataUris++;
+              }
+            },
+          },
+        }),
+      },
+    ],
+  });
+
+  return info;
+}
+
+/**
+ * Lint one SVG
+ * Throws when the markup can't be parsed.
+ * @param {string} svg - SVG content
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
+ * @param {Record<string, {severity: string, options: object}>} config - From loadLintConfig
+ * @returns {Array<{rule: string, severity: 'warn' | 'error', message: string}>}
+ */
+export function lintSvg(svg, type, config) {
+  const info = inspectSvg(svg);
+  const messages = [];
+
+  for (const [id, rule] of Object.entries(RULES)) {
+    const { severity, options } = config[id];
+    if (severity === 'off' || (rule.types && !rule.types.includes(type))) continue;
+    for (const message of rule.check(info, options, type)) {
+      messages.push({ rule: id, severity, message });
+    }
+  }
+
+  return messages;
+}
@@ -0,0 +1,153 @@
+/**
+ * CSS variables for the colors of colors and duotone icons
+ *
+ * Colors icons: every distinct color becomes `var(--qxw-<icon>-c1, <color>)`,
+ * `var(--qxw-<icon>-c2, ...)` in order of first use, so themes can override
+ * single colors while the default look stays the same.
+ *
+ * Duotone icons: the most used fill/stroke color becomes
+ * `var(--icon-color, <color>)`, the other one `var(--icon-secondary-color, <color>)`.
+ *
+ * Colors are rewritten where they are: presentation attributes keep `var()`
+ * values and `style` declarations are replaced in place, so `<style>` rules
+ * and `style` attributes still override attributes like they did in the source.
+ *
+ * Only the component templates use the variables. Raw SVG strings, data URIs
+ * and the sprite keep the literal colors, since renderers outside the browser
+ * (resvg, PDF and email tools) draw `var()` colors black. Duotone icons mark
+ * their two colors there instead (`data-qxw-fill="primary"`, ...), for
+ * `applySvgOptions()` in src/svg-uri.ts to recolor.
+ *
+ * Used by the generator (components and the palette in dist/icons.json).
+ *
+ * Usage:
+ *   import { applyPalette, applyDuotone } from './svg-palette.js';
+ *   applyPalette(svg, 'fire'); // → { svg, palette: [{ variable: '--qxw-fire-c1', color: '#f82300' }] }
+ *   applyDuotone(svg); // → { svg: markup with var(--icon-color, ...), marked: markup with data-qxw-* roles }
+ */
+
+import { optimize } from 'svgo';
+import { normalizePaint } from './svg-colors.js';
+
+const PAINT_ATTRIBUTES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color'];
+
+const PAINT_PROPERTIES = /((?:^|[;{\s])(fill|stroke|stop-color|flood-color|lighting-color)\s*:\s*)([^;}]+)/gi;
+
+// Paints that take part in the duotone roles
+const DUOTONE_PROPERTIES = new Set(['fill', 'stroke']);
+
+const DUOTONE_VARIABLES = { primary: '--icon-color', secondary: '--icon-secondary-color' };
+
+/**
+ * Rewrite the paint values of an SVG in place
+ * Throws when the markup can't be parsed.
+ * @param {string} svg - Optimized SVG content
+ * @param {(value: string, property: string, node?: object) => string | null} replace -
+ *   New value for a paint (without `!important`), or null to keep it; `node`
+ *   is the element for attributes and `style` attributes
+ * @returns {string} Rewritten markup
+ */
+function rewritePaints(svg, replace) {
+  const rewriteStyle = (style, node) => style.replace(PAINT_PROPERTIES, (match, prefix, property, value) => {
+    const important = /!important/i.test(value) ? ' !important' : '';
+    const replaced = replace(value.replace(/!important/i, '').trim(), property.toLowerCase(), node);
+    return replaced ? `${prefix}${replaced}${important}` : match;
+  });
+
+  const result = optimize(svg, {
+    js2svg: { indent: 2, pretty: false },
+    plugins: [
+      {
+        name: 'rewritePaints',
+        fn: () => ({
+          element: {
+            enter: (node) => {
+              if (node.name === 'style') {
+                for (const child of node.children) {
+                  if (child.value) child.value = rewriteStyle(child.value);
+                }
+                return;
+              }
+
+              for (const name of PAINT_ATTRIBUTES) {
+                const value = node.attributes[name];
+                const replaced = value && replace(value.trim(), name, node);
+                if (replaced) node.attributes[name] = replaced;
+              }
+
+              if (node.attributes.style) {
+                node.attributes.style = rewriteStyle(node.attributes.style, node);
+              }
+            },
+          },
+        }),
+      },
+    ],
+  });
+
+  return result.data;
+}
+
+/**
+ * Rewrite the colors of an SVG to palette variables
+ * Throws when the markup can't be parsed.
+ * @param {string} svg - Optimized SVG content
+ * @param {string} iconName - Safe icon name, used in the variable names
+ * @param {string} [suffix] - Appended to the variable names (`-dark` for dark variants),
+ *   after the color number so they can't collide with another icon's variables
+ * @returns {{svg: string, palette: Array<{variable: string, color: string}>}}
+ *   Rewritten markup and one entry per distinct color
+ */
+export function applyPalette(svg, iconName, suffix = '') {
+  const palette = [];
+  const variables = new Map(); // normalized color → variable
+
+  const rewritten = rewritePaints(svg, (value) => {
+    const color = normalizePaint(value);
+    if (!color || color === 'url') return null;
+    if (!variables.has(color)) {
+      const variable = `--qxw-${iconName}-c${variables.size + 1}${suffix}`;
+      variables.set(color, variable);
+      palette.push({ variable, color });
+    }
+    return `var(${variables.get(color)}, ${value})`;
+  });
+
+  return { svg: rewritten, palette };
+}
+
+/**
+ * Map the two colors of a duotone icon to `--icon-color` and `--icon-secondary-color`
+ * The most used fill/stroke color is the primary one; ties keep document order.
+ * Throws when the markup can't be parsed.
+ * @param {string} svg - Optimized SVG content
+ * @returns {{svg: string, marked: string}} Markup with the variables (components),
+ *   and with literal colors marked by `data-qxw-fill` / `data-qxw-stroke` (raw SVG)
+ */
+export function applyDuotone(svg) {
+  const counts = new Map(); // normalized color → uses
+  rewritePaints(svg, (value, property) => {
+    const color = DUOTONE_PROPERTIES.has(property) && normalizePaint(value);
+    if (color && color !== 'url') counts.set(color, (counts.get(color) || 0) + 1);
+    return null;
+  });
+
+  // Stable sort keeps document order for ties
+  const [primary, secondary] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const roles = new Map(); // normalized color → role
+  if (primary) roles.set(primary[0], 'primary');
+  if (secondary) roles.set(secondary[0], 'secondary');
+  const roleOf = (value, property) => DUOTONE_PROPERTIES.has(property) && roles.get(normalizePaint(value));
+
+  return {
+    svg: rewritePaints(svg, (value, property) => {
+      const role = roleOf(value, property);
+      return role ? `var(${DUOTONE_VARIABLES[role]}, ${value})` : null;
+    }),
+    marked: rewritePaints(svg, (value, property, node) => {
+      const role = roleOf(value, property);
+      if (role && node) node.attributes[`data-qxw-${property}`] = role;
+      return null;
+    }),
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Safety sanitizer for icon SVGs
+ *
+ * Icon markup is embedded verbatim into Lit templates, so active or external
+ * content must never reach `src/icons/`. Removes:
+ * - <script>, <foreignObject>, <image> and other embedding elements
+ * - on* event handler attributes
+ * - href / xlink:href that don't point into the document (`#id`)
+ * - `javascript:` and external `url(...)` references in attributes and styles
+ * - <animate>/<set> that rewrite hrefs or event handlers
+ * - attribute values, text and comments containing template literal syntax
+ *   (`${` or a backtick), which could break out of the generated template
+ *
+ * Used by the generator (strips and reports) and the dev server upload
+ * (rejects the file with the same report).
+ *
+ * Usage:
+ *   import { sanitizeSvg } from './svg-sanitize.js';
+ *   const { svg, removed } = sanitizeSvg(content); // removed: string[] of reasons
+ */
+
+import { optimize } from 'svgo';
+
+// Elements that run code or pull in external/raster content (lowercase local names)
+const UNSAFE_ELEMENTS = new Set([
+  'script', 'foreignobject', 'image', 'iframe', 'embed', 'object', 'audio', 'video', 'canvas',
+]);
+
+// SMIL elements that can set attributes at runtime (lowercase local names)
+const ANIMATION_ELEMENTS = new Set(['animate', 'set', 'animatemotion', 'animatetransform']);
+
+const EXTERNAL_URL = /url\(\s*['"]?\s*(?!#)[^)'"\s]/i;
+const JAVASCRIPT_URL = /^\s*javascript:/i;
+const TEMPLATE_SYNTAX = /`|\$\{/;
+
+/**
+ * Lowercase local name of an element or attribute
+ * The HTML parser behind Lit templates matches names case-insensitively
+ * (`<foreignobject>` becomes `foreignObject`), and a namespace prefix
+ * (`<svg:script>`) doesn't change what the element does.
+ * @param {string} name - Name as written in the source
+ * @returns {string}
+ */
+function localName(name) {
+  return name.replace(/^.*:/, '').toLowerCase();
+}
+
+/**
+ * Describe why an attribute is unsafe
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {string | null} Reason, or null when the attribute is safe
+ */
+function unsafeAttributeReason(name, value) {
+  if (/^on/i.test(localName(name))) return `event handler ${name}`;
+  if (JAVASCRIPT_URL.test(value)) return `javascript: URL in ${name}`;
+  if (localName(name) === 'href' && !value.trim().startsWith('#')) {
+    return `external ${name} "${value.length > 40 ? value.slice(0, 40) + '…' : value}"`;
+  }
+  if (EXTERNAL_URL.test(value)) return `external url() in ${name}`;
+  if (TEMPLATE_SYNTAX.test(value)) return `template literal syntax in ${name}`;
+  return null;
+}
+
+/**
+ * Remove unsafe constructs from an SVG
+ * Throws when the markup can't be parsed.
+ * @param {string} svg - SVG content
+ * @returns {{svg: string, removed: string[]}} Sanitized markup and one reason per removed construct
+ */
+export function sanitizeSvg(svg) {
+  const removed = [];
+  // Depth inside a removed element, whose descendants needn't be reported
+  let skipDepth = 0;
+
+  /**
+   * Drop text, CDATA and comment children that contain template literal syntax
+   * @param {object} parent - Root or element node
+   * @param {string} where - Location for the report
+   */
+  const removeTemplateText = (parent, where) => {
+    const unsafe = parent.children.filter((child) => (
+      ['text', 'cdata', 'comment'].includes(child.type) && TEMPLATE_SYNTAX.test(child.value)
+    ));
+    if (unsafe.length === 0) return;
+    removed.push(`template literal syntax in ${where}`);
+    parent.children = parent.children.filter((child) => !unsafe.includes(child));
+  };
+
+  const result = optimize(svg, {
+    plugins: [
+      {
+        name: 'sanitizeSvg',
+        fn: () => ({
+          root: {
+            enter: (root) => removeTemplateText(root, 'top-level comment'),
+          },
+          element: {
+            enter: (node, parentNode) => {
+              if (skipDepth > 0) {
+                skipDepth++;
+                return;
+              }
+
+              const detach = (reason) => {
+                removed.push(reason);
+                parentNode.children = parentNode.children.filter((child) => child !== node);
+                skipDepth = 1;
+              };
+
+              const element = localName(node.name);
+              if (UNSAFE_ELEMENTS.has(element)) {
+                const data = /^data:/i.test(node.attributes.href || node.attributes['xlink:href'] || '');
+                detach(`<${node.name}> element${data ? ' (embedded data)' : ''}`);
+                return;
+              }
+
+              const target = node.attributes.attributeName || '';
+              if (ANIMATION_ELEMENTS.has(element) && /^(on|href$)/i.test(localName(target))) {
+                detach(`<${node.name}> setting ${target}`);
+                return;
+              }
+
+              if (element === 'style') {
+                const text = node.children.map((child) => child.value || '').join('');
+                if (/@import/i.test(text) || EXTERNAL_URL.test(text) || /javascript:/i.test(text)) {
+                  detach('<style> with external references');
+                  return;
+                }
+              }
+
+              removeTemplateText(node, `<${node.name}> content`);
+
+              for (const [name, value] of Object.entries(node.attributes)) {
+                const reason = unsafeAttributeReason(name, value);
+                if (reason) {
+                  removed.push(`${reason} on <${node.name}>`);
+                  delete node.attributes[name];
+                }
+              }
+            },
+            exit: () => {
+              if (skipDepth > 0) skipDepth--;
+            },
+          },
+        }),
+      },
+    ],
+  });
+
+  return { svg: result.data, removed };
+}
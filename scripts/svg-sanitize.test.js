@@ -0,0 +1,59 @@
+/**
+ * Tests for the SVG sanitizer (run by `npm test` through `node --test`)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSvg } from './svg-sanitize.js';
+
+/**
+ * Sanitize and assert that something was removed
+ * @param {string} svg - SVG content
+ * @returns {{svg: string, removed: string[]}}
+ */
+function rejects(svg) {
+  const result = sanitizeSvg(svg);
+  assert.notDeepEqual(result.removed, [], `expected a rejection for ${svg}`);
+  return result;
+}
+
+test('keeps safe markup untouched', () => {
+  const { removed } = sanitizeSvg('<svg viewBox="0 0 24 24"><title>Home</title><path d="M0 0h24v24z" fill="#333"/></svg>');
+  assert.deepEqual(removed, []);
+});
+
+test('removes unsafe elements regardless of case and namespace prefix', () => {
+  for (const svg of [
+    '<svg><script>alert(1)</script></svg>',
+    '<svg><Script>alert(1)</Script></svg>',
+    '<svg xmlns:svg="http://www.w3.org/2000/svg"><svg:script>alert(1)</svg:script></svg>',
+    '<svg><foreignobject><div/></foreignobject></svg>',
+    '<svg><foreignObject><div/></foreignObject></svg>',
+  ]) {
+    const { svg: output } = rejects(svg);
+    assert.doesNotMatch(output, /script|foreignobject/i);
+  }
+});
+
+test('removes event handlers and external references', () => {
+  rejects('<svg onload="alert(1)"><path/></svg>');
+  rejects('<svg><a href="https://example.com"><path/></a></svg>');
+  rejects('<svg><path style="fill:url(https://example.com/x.svg)"/></svg>');
+});
+
+test('removes template literal syntax from attributes', () => {
+  const { svg } = rejects('<svg data-x="${globalThis.pwned=1}"><path d="M0 0"/></svg>');
+  assert.doesNotMatch(svg, /\$\{/);
+  assert.doesNotMatch(rejects('<svg><path data-x="a`b"/></svg>').svg, /`/);
+});
+
+test('removes template literal syntax from text, styles and comments', () => {
+  for (const svg of [
+    '<svg><text>${alert(2)}</text></svg>',
+    '<svg><title>a`b</title></svg>',
+    '<svg><style>/* ${alert(3)} */</style></svg>',
+    '<!-- ${alert(4)} --><svg><path/></svg>',
+  ]) {
+    assert.doesNotMatch(rejects(svg).svg, /\$\{|`/);
+  }
+});
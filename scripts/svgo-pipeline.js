@@ -0,0 +1,53 @@
+/**
+ * SVGO config loading and optimization shared by the generator and the
+ * visual regression check, so both run exactly the same pipeline.
+ *
+ * Each icon directory has its own `svgo.config.cjs`.
+ *
+ * Usage:
+ *   import { loadSvgoConfig, optimizeSvg } from './svgo-pipeline.js';
+ *   optimizeSvg(content, await loadSvgoConfig(dir), join(dir, file));
+ */
+
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { optimize } from 'svgo';
+
+// Cache for SVGO configs to avoid reloading
+const svgoConfigCache = new Map();
+
+/**
+ * Optimize SVG using SVGO
+ * The file path lets `prefixIds` derive a per-file prefix, so IDs stay
+ * unique when several icons share a document (e.g. in the sprite).
+ * @param {string} svgContent - Raw SVG content
+ * @param {object} config - SVGO config
+ * @param {string} path - Source file path
+ * @returns {string} Optimized SVG content
+ */
+export function optimizeSvg(svgContent, config, path) {
+  const result = optimize(svgContent, { ...config, path });
+  return result.data;
+}
+
+/**
+ * Load SVGO config for a directory (with caching)
+ * @param {string} dir - Directory path
+ * @returns {Promise<object>} SVGO config
+ */
+export async function loadSvgoConfig(dir) {
+  if (svgoConfigCache.has(dir)) {
+    return svgoConfigCache.get(dir);
+  }
+  
+  const configPath = join(dir, 'svgo.config.cjs');
+  let config = {};
+  
+  if (existsSync(configPath)) {
+    const configModule = await import(`file://${configPath}`);
+    config = configModule.default || configModule;
+  }
+  
+  svgoConfigCache.set(dir, config);
+  return config;
+}
@@ -0,0 +1,249 @@
+/**
+ * Visual regression check for the SVGO pipeline
+ *
+ * Renders every source SVG and its optimized form (the same sanitize + SVGO
+ * steps as generate-icons.js) with resvg (WASM), compares the pixels and
+ * reports icons whose optimized form differs beyond the threshold.
+ *
+ * Nocolors icons lose their colors on purpose, so only their coverage
+ * (alpha channel) is compared; colors icons are compared in full RGBA.
+ * Duotone icons get their role markers (`svg-palette.js`) like the raw SVG
+ * and sprite; the `var()` colors only go into the component templates.
+ *
+ * Output:
+ *   visual-report/report.json (all icons with their difference)
+ *   visual-report/index.html  (source / optimized / diff of failing icons)
+ *
+ * Usage:
+ *   npm run visual
+ *   node scripts/visual-check.js --threshold 0.01 --size 128
+ */
+
+import { readdirSync, readFileSync, writeFileSync, mkdirSync, existsSync, rmSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import { initWasm, Resvg } from '@resvg/resvg-wasm';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { sanitizeSvg } from './svg-sanitize.js';
+import { loadSvgoConfig, optimizeSvg } from './svgo-pipeline.js';
+import { applyDuotone } from './svg-palette.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+const NOCOLORS_DIR = join(ROOT_DIR, 'svg', 'nocolors');
+const COLORS_DIR = join(ROOT_DIR, 'svg', 'colors');
+const DUOTONE_DIR = join(ROOT_DIR, 'svg', 'duotone');
+const REPORT_DIR = join(ROOT_DIR, 'visual-report');
+
+/**
+ * Parse CLI arguments
+ * @returns {{threshold: number, size: number}}
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    threshold: 0.02, // Share of inked pixels allowed to differ
+    size: 96, // Render width in px
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--threshold' && args[i + 1]) {
+      result.threshold = Number(args[++i]);
+    } else if (args[i] === '--size' && args[i + 1]) {
+      result.size = Number(args[++i]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Render an SVG to RGBA pixels
+ * @param {string} svg - SVG content
+ * @param {number} size - Render width in px
+ * @returns {{width: number, height: number, pixels: Uint8Array}}
+ */
+function render(svg, size) {
+  const image = new Resvg(svg, { fitTo: { mode: 'width', value: size } }).render();
+  const { width, height } = image;
+  const pixels = new Uint8Array(image.pixels);
+  image.free();
+  return { width, height, pixels };
+}
+
+/**
+ * Keep only the alpha channel (for nocolors icons)
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @returns {Uint8Array}
+ */
+function alphaOnly(pixels) {
+  const result = new Uint8Array(pixels.length);
+  for (let i = 3; i < pixels.length; i += 4) result[i] = pixels[i];
+  return result;
+}
+
+/**
+ * Encode RGBA pixels as a PNG data URI
+ * @param {{width: number, height: number, pixels: Uint8Array}} image
+ * @returns {string}
+ */
+function toPngDataUri({ width, height, pixels }) {
+  const png = new PNG({ width, height });
+  png.data = Buffer.from(pixels);
+  return `data:image/png;base64,${PNG.sync.write(png).toString('base64')}`;
+}
+
+/**
+ * Compare the rendering of a source SVG with its optimized form
+ * @param {string} dir - Source directory
+ * @param {string} file - SVG filename
+ * @param {'nocolors' | 'colors' | 'duotone'} type - Icon type
+ * @param {number} size - Render width in px
+ * @param {number} threshold - Difference above which images are kept for the HTML page
+ * @returns {Promise<object>} Comparison result
+ */
+async function compareIcon(dir, file, type, size, threshold) {
+  const path = join(dir, file);
+  const source = readFileSync(path, 'utf-8');
+  let optimized = optimizeSvg(sanitizeSvg(source).svg, await loadSvgoConfig(dir), path);
+  if (type === 'duotone') optimized = applyDuotone(optimized).marked;
+
+  const before = render(source, size);
+  const after = render(optimized, size);
+  const result = { file: `${type}/${file}`, type, bytes: [Buffer.byteLength(source), Buffer.byteLength(optimized)] };
+
+  if (before.width !== after.width || before.height !== after.height) {
+    return {
+      ...result,
+      difference: 1,
+      note: `Size changed from ${before.width}x${before.height} to ${after.width}x${after.height}`,
+      images: { before: toPngDataUri(before), after: toPngDataUri(after) },
+    };
+  }
+
+  const a = type === 'nocolors' ? alphaOnly(before.pixels) : before.pixels;
+  const b = type === 'nocolors' ? alphaOnly(after.pixels) : after.pixels;
+  const diff = new Uint8Array(a.length);
+  const mismatched = pixelmatch(a, b, diff, before.width, before.height, { threshold: 0.1 });
+
+  // Relative to the inked area, so small icons on large canvases still count
+  let inked = 0;
+  for (let i = 3; i < a.length; i += 4) {
+    if (a[i] > 0 || b[i] > 0) inked++;
+  }
+  const difference = inked > 0 ? mismatched / inked : 0;
+  if (difference <= threshold) {
+    return { ...result, difference, mismatched };
+  }
+
+  return {
+    ...result,
+    difference,
+    mismatched,
+    images: {
+      before: toPngDataUri(before),
+      after: toPngDataUri(after),
+      diff: toPngDataUri({ ...before, pixels: diff }),
+    },
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate the HTML diff page
+ * @param {Array<object>} failed - Failing comparison results
+ * @param {number} total - Number of icons checked
+ * @param {number} threshold
+ * @returns {string}
+ */
+function generateHtml(failed, total, threshold) {
+  const rows = failed.map(({ file, difference, note, images }) => `
+    <section>
+      <h2>${escapeHtml(file)} <span>${(difference * 100).toFixed(2)}%</span></h2>
+      ${note ? `<p>${escapeHtml(note)}</p>` : ''}
+      <div class="images">
+        <figure><img src="${images.before}" alt=""><figcaption>source</figcaption></figure>
+        <figure><img src="${images.after}" alt=""><figcaption>optimized</figcaption></figure>
+        ${images.diff ? `<figure><img src="${images.diff}" alt=""><figcaption>diff</figcaption></figure>` : ''}
+      </div>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>SVGO visual check</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 24px; color: #333; }
+    section { border-top: 1px solid #eee; padding: 12px 0; }
+    h2 { font-size: 15px; }
+    h2 span { color: #d33; }
+    .images { display: flex; gap: 16px; }
+    figure { margin: 0; text-align: center; font-size: 12px; color: #888; }
+    img { display: block; border: 1px solid #ddd; background: repeating-conic-gradient(#f3f3f3 0 25%, #fff 0 50%) 0 0 / 16px 16px; }
+  </style>
+</head>
+<body>
+  <h1>SVGO visual check</h1>
+  <p>${failed.length} of ${total} icon(s) differ by more than ${(threshold * 100).toFixed(2)}% of their inked pixels.</p>
+  ${rows || '<p>✅ No differences.</p>'}
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const { threshold, size } = parseArgs();
+  console.log(`🔍 Comparing source and optimized SVGs (${size}px, threshold ${(threshold * 100).toFixed(2)}%)...\n`);
+
+  const require = createRequire(import.meta.url);
+  await initWasm(readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')));
+
+  const results = [];
+  for (const [dir, type] of [[NOCOLORS_DIR, 'nocolors'], [COLORS_DIR, 'colors'], [DUOTONE_DIR, 'duotone']]) {
+    if (!existsSync(dir)) continue;
+    for (const file of readdirSync(dir).filter((f) => f.endsWith('.svg'))) {
+      results.push(await compareIcon(dir, file, type, size, threshold));
+    }
+  }
+
+  const failed = results
+    .filter((r) => r.difference > threshold)
+    .sort((a, b) => b.difference - a.difference);
+
+  for (const { file, difference, note } of failed) {
+    console.log(`  ❌ ${file}: ${(difference * 100).toFixed(2)}%${note ? ` (${note})` : ''}`);
+  }
+
+  rmSync(REPORT_DIR, { recursive: true, force: true });
+  mkdirSync(REPORT_DIR, { recursive: true });
+  const report = {
+    threshold,
+    size,
+    icons: results.map(({ images, ...rest }) => ({ ...rest, failed: rest.difference > threshold })),
+  };
+  writeFileSync(join(REPORT_DIR, 'report.json'), JSON.stringify(report, null, 2) + '\n');
+  writeFileSync(join(REPORT_DIR, 'index.html'), generateHtml(failed, results.length, threshold));
+
+  console.log(failed.length > 0
+    ? `\n❌ ${failed.length} of ${results.length} icon(s) changed visibly, see visual-report/index.html`
+    : `✅ ${results.length} icon(s) render the same after optimization`);
+
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error('Visual check failed:', err);
+  process.exit(1);
+});
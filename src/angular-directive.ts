@@ -0,0 +1,141 @@
+/**
+ * Angular integration for icon components
+ *
+ * Used by the generated `src/angular/` modules, one standalone directive per
+ * `qxw-icon-*` selector, re-exported by `src/angular.ts`
+ * (`@dqjs/webicon/angular`). Matching a directive makes the tags known to
+ * Angular, so templates no longer need `CUSTOM_ELEMENTS_SCHEMA`, and the
+ * typed inputs forward to the element.
+ *
+ * `tsconfig.angular.json` builds these with Angular partial compilation, so
+ * the published `.d.ts` carries the directive declarations AOT apps need.
+ */
+
+import { Directive, ElementRef, Input, inject } from '@angular/core';
+import type { QxIconBase, QxIconColorsBase, QxIconDuotoneBase, QxIconFlip, QxIconTheme } from './icon-base.js';
+import './icon.js';
+import type { QxIcon } from './icon.js';
+import type { QxIconColor } from './color-tokens.js';
+
+/**
+ * Coerce an input to boolean the way Angular CDK does
+ * (`<qxw-icon-x autoCrop>` passes an empty string)
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function coerceBoolean(value: unknown): boolean {
+  return value != null && `${value}` !== 'false';
+}
+
+/**
+ * Coerce an input to an optional number (static attributes pass strings)
+ * @param {unknown} value
+ * @returns {number | undefined}
+ */
+function coerceNumber(value: unknown): number | undefined {
+  if (value == null || value === '') return undefined;
+  const size = Number(value);
+  return Number.isNaN(size) ? undefined : size;
+}
+
+/**
+ * Base directive forwarding inputs to the icon element
+ */
+@Directive()
+export abstract class QxIconDirectiveBase<E extends QxIconBase | QxIcon = QxIconBase> {
+  /** The underlying icon element */
+  readonly element: E = inject<ElementRef<E>>(ElementRef).nativeElement;
+
+  /** Icon size in px */
+  @Input()
+  set size(value: number | string | null | undefined) {
+    this.element.size = coerceNumber(value);
+  }
+
+  /** Icon color or design token (nocolors and duotone icons) */
+  @Input()
+  set color(value: QxIconColor | null | undefined) {
+    this.element.color = value ?? undefined;
+  }
+
+  /** Secondary color or design token (duotone icons only) */
+  @Input()
+  set secondaryColor(value: QxIconColor | null | undefined) {
+    (this.element as Partial<QxIconDuotoneBase>).secondaryColor = value ?? undefined;
+  }
+
+  /** Force the light or dark variant (colors icons with a dark variant) */
+  @Input()
+  set theme(value: QxIconTheme | null | undefined) {
+    (this.element as Partial<QxIconColorsBase>).theme = value ?? undefined;
+  }
+
+  /** Crop the viewBox to the icon geometry */
+  @Input()
+  set autoCrop(value: boolean | string | null | undefined) {
+    this.element.autoCrop = coerceBoolean(value);
+  }
+
+  /** Accessible name; without one the icon is hidden from screen readers */
+  @Input()
+  set label(value: string | null | undefined) {
+    this.element.label = value ?? undefined;
+  }
+
+  /** Use the metadata title as the label, following `lang` */
+  @Input()
+  set autoLabel(value: boolean | string | null | undefined) {
+    this.element.autoLabel = coerceBoolean(value);
+  }
+
+  /** Rotation in degrees, clockwise */
+  @Input()
+  set rotate(value: number | string | null | undefined) {
+    this.element.rotate = coerceNumber(value);
+  }
+
+  /** Mirror the icon */
+  @Input()
+  set flip(value: QxIconFlip | null | undefined) {
+    this.element.flip = value ?? undefined;
+  }
+
+  /** Mirror the icon in RTL content (defaults to true for directional icons) */
+  @Input()
+  set mirrorRtl(value: boolean | string | null | undefined) {
+    this.element.mirrorRtl = coerceBoolean(value);
+  }
+
+  /** Rotate continuously */
+  @Input()
+  set spin(value: boolean | string | null | undefined) {
+    this.element.spin = coerceBoolean(value);
+  }
+
+  /** Fade in and out */
+  @Input()
+  set pulse(value: boolean | string | null | undefined) {
+    this.element.pulse = coerceBoolean(value);
+  }
+
+  /** Grow and shrink */
+  @Input()
+  set beat(value: boolean | string | null | undefined) {
+    this.element.beat = coerceBoolean(value);
+  }
+}
+
+/**
+ * Directive for the generic `<qxw-icon name="...">` element
+ */
+@Directive({
+  selector: 'qxw-icon',
+  standalone: true,
+})
+export class QxIconNameDirective extends QxIconDirectiveBase<QxIcon> {
+  /** Registered icon name, e.g. `arrow-left` */
+  @Input()
+  set name(value: string | null | undefined) {
+    this.element.name = value ?? undefined;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Design-token colors for the `color` and `secondary-color` attributes
+ *
+ * `color="primary"` resolves to `var(--qxw-color-primary, #1677ff)`: themes
+ * set the custom property, and the default keeps the icon colored without
+ * one. Any other value (`#f00`, `red`, `var(--x)`) is used as is. The token
+ * map lives on `globalThis` like the icon registry, so separately bundled
+ * copies on the same page share it.
+ *
+ * Usage:
+ *   <qxw-icon-printer color="danger"></qxw-icon-printer>
+ *   registerColorTokens({ brand: '#7a3cff' }); // → --qxw-color-brand
+ */
+
+/** Built-in tokens and their default values */
+export const defaultColorTokens = {
+  primary: '#1677ff',
+  success: '#52c41a',
+  warning: '#faad14',
+  danger: '#ff4d4f',
+  info: '#1677ff',
+  text: 'rgba(0, 0, 0, 0.88)',
+  'text-secondary': 'rgba(0, 0, 0, 0.65)',
+  'text-disabled': 'rgba(0, 0, 0, 0.25)',
+} as const;
+
+/** Built-in token name */
+export type QxColorToken = keyof typeof defaultColorTokens;
+
+/**
+ * Value of `color` / `secondary-color`: a token name or any CSS color
+ * (`string & {}` keeps editor autocompletion for the token names)
+ */
+export type QxIconColor = QxColorToken | (string & {});
+
+const TOKENS_KEY = '__qxwColorTokens';
+
+const tokens: Map<string, string> = ((globalThis as Record<string, unknown>)[TOKENS_KEY] as Map<string, string> | undefined)
+  ?? ((globalThis as Record<string, unknown>)[TOKENS_KEY] = new Map(Object.entries(defaultColorTokens)) as Map<string, string>);
+
+/**
+ * Add tokens or change the defaults of existing ones
+ * Icons resolve tokens when they render, so register app tokens before the
+ * first icons render; themes switch colors through the custom properties.
+ * @param {Record<string, string>} map - Token name → default CSS color
+ */
+export function registerColorTokens(map: Record<string, string>) {
+  for (const [name, value] of Object.entries(map)) {
+    tokens.set(name, value);
+  }
+}
+
+/**
+ * List the registered token names
+ * @returns {string[]} Sorted token names
+ */
+export function getColorTokens(): string[] {
+  return Array.from(tokens.keys()).sort();
+}
+
+/**
+ * CSS custom property of a token
+ * @param {string} name - Token name, e.g. `text-secondary`
+ * @returns {string} e.g. `--qxw-color-text-secondary`
+ */
+export function colorTokenVariable(name: string): string {
+  return `--qxw-color-${name}`;
+}
+
+/**
+ * Resolve a `color` value for CSS
+ * @param {string} value - Token name or CSS color
+ * @returns {string} `var(--qxw-color-<token>, <default>)` for tokens, the value otherwise
+ */
+export function resolveColor(value: string): string {
+  const fallback = tokens.get(value);
+  return fallback === undefined ? value : `var(${colorTokenVariable(value)}, ${fallback})`;
+}
+
+/**
+ * Resolve a `color` value outside the document's CSS (data URIs, `<img>`),
+ * where the token custom properties can't apply
+ * @param {string} value - Token name or CSS color
+ * @returns {string} The token's default value, or the value itself
+ */
+export function resolveColorValue(value: string): string {
+  return tokens.get(value) ?? value;
+}
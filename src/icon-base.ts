@@ -0,0 +1,495 @@
+/**
+ * Runtime base class shared by every generated icon component.
+ *
+ * Generated files under `src/icons/` only declare their tag, SVG template
+ * and metadata; sizing, coloring, auto-crop, rotation and animation
+ * behavior all live here.
+ */
+
+import { LitElement, html, css, type PropertyValues, type TemplateResult } from 'lit';
+import { property } from 'lit/decorators.js';
+import { resolveColor, type QxIconColor } from './color-tokens.js';
+
+/** Source directory an icon was generated from */
+export type QxIconType = 'nocolors' | 'colors' | 'duotone';
+
+/** Variant of a colors icon with a dark variant */
+export type QxIconTheme = 'light' | 'dark';
+
+/** Axis to mirror an icon along */
+export type QxIconFlip = 'horizontal' | 'vertical' | 'both';
+
+/** Custom properties for the host, name → value (`undefined` leaves it unset) */
+export type QxIconHostStyles = Record<string, string | undefined>;
+
+/** scale() factors per flip value */
+const FLIP_SCALES: Record<QxIconFlip, string> = {
+  horizontal: '-1, 1',
+  vertical: '1, -1',
+  both: '-1, -1',
+};
+
+/**
+ * Rotation, flip and RTL mirroring, shared by every base class
+ * Rotate and flip come from `--qxw-icon-transform` (set by hostStyles). For
+ * quarter turns the <svg> keeps its unrotated size through `--qxw-svg-width`
+ * / `--qxw-svg-height` and overflows the host evenly, so it fills the
+ * host's box once rotated. RTL mirroring uses the `scale` property, which
+ * applies on top of the rotation, through `--qxw-mirror` so `beat` can
+ * scale a mirrored icon.
+ */
+const transformStyles = css`
+  svg {
+    flex: none;
+    width: var(--qxw-svg-width, 100%);
+    height: var(--qxw-svg-height, 100%);
+    transform: var(--qxw-icon-transform, none);
+    scale: var(--qxw-mirror, 1) 1;
+  }
+  :host([mirror-rtl]:dir(rtl)) {
+    --qxw-mirror: -1;
+  }
+`;
+
+/**
+ * Animation modes, shared by every base class
+ * Each mode attribute fills one slot of the <svg> `animation` list, so modes
+ * combine (`spin pulse`). They animate the individual `rotate` / `scale`
+ * properties and `opacity`, leaving `transform` to rotate/flip. The
+ * custom properties from hostStyles are set on the host, so changing size or
+ * color doesn't restart them.
+ */
+const animationStyles = css`
+  :host([spin]) {
+    --qxw-spin: qxw-spin var(--icon-animation-duration, 1s) linear infinite var(--icon-animation-direction, normal);
+  }
+  :host([pulse]) {
+    --qxw-pulse: qxw-pulse var(--icon-animation-duration, 1.5s) ease-in-out infinite var(--icon-animation-direction, normal);
+  }
+  :host([beat]) {
+    --qxw-beat: qxw-beat var(--icon-animation-duration, 1s) ease-in-out infinite var(--icon-animation-direction, normal);
+  }
+  svg {
+    animation: var(--qxw-spin, none), var(--qxw-pulse, none), var(--qxw-beat, none);
+  }
+  @keyframes qxw-spin {
+    from {
+      rotate: 0deg;
+    }
+    to {
+      rotate: 360deg;
+    }
+  }
+  @keyframes qxw-pulse {
+    50% {
+      opacity: 0.4;
+    }
+  }
+  @keyframes qxw-beat {
+    50% {
+      scale: calc(var(--qxw-mirror, 1) * 1.2) 1.2;
+    }
+  }
+  @media (prefers-reduced-motion: reduce) {
+    svg {
+      animation: none;
+    }
+  }
+`;
+
+/**
+ * QxIconBase - Base class for icons colorable via CSS (`svg/nocolors/`)
+ */
+export class QxIconBase extends LitElement {
+  static styles = [css`
+    :host {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      flex: 0 0 auto;
+      width: var(--icon-width, var(--icon-size, 1em));
+      height: var(--icon-size, 1em);
+      color: var(--icon-color, currentColor);
+    }
+    svg {
+      fill: currentColor;
+      display: block;
+    }
+  `, transformStyles, animationStyles];
+
+  /** Safe icon name, e.g. `arrow-left` */
+  static iconName = '';
+
+  /** Source directory of the icon */
+  static iconType: QxIconType = 'nocolors';
+
+  /** Width / height of the original viewBox */
+  static aspectRatio = 1;
+
+  /** Optimized SVG template of the icon */
+  static svg: TemplateResult = html``;
+
+  /** Tight viewBox around the icon geometry, computed at build time for `auto-crop` */
+  static cropViewBox?: string;
+
+  /** Display names from the icon metadata, used by `auto-label` */
+  static iconTitle: { zh?: string; en?: string } = {};
+
+  /** Whether the icon points in a direction (metadata `directional`); such icons default to `mirror-rtl` */
+  static directional = false;
+
+  private originalViewBoxes = new WeakMap<Element, string | null>();
+
+  /** Custom properties applied to the host by applyHostStyles, to remove them once unset */
+  private appliedHostStyles = new Map<string, string>();
+
+  @property({ type: Number })
+  size?: number;
+
+  /** CSS color or design token (`primary`, `danger`, ...; see color-tokens.ts) */
+  @property({ type: String })
+  color?: QxIconColor;
+
+  @property({ type: Boolean, attribute: 'auto-crop' })
+  autoCrop = false;
+
+  /** Accessible name; without one the icon is decorative (`aria-hidden`) */
+  @property({ type: String })
+  label?: string;
+
+  /** Use the metadata title as the label, in Chinese or English following `lang` */
+  @property({ type: Boolean, attribute: 'auto-label' })
+  autoLabel = false;
+
+  /** Rotation in degrees, clockwise */
+  @property({ type: Number })
+  rotate?: number;
+
+  @property({ type: String })
+  flip?: QxIconFlip;
+
+  /** Mirror the icon horizontally in right-to-left content (`:dir(rtl)`) */
+  @property({ type: Boolean, reflect: true, attribute: 'mirror-rtl' })
+  mirrorRtl = (this.constructor as typeof QxIconBase).directional;
+
+  /** Rotate continuously (loading / refresh states) */
+  @property({ type: Boolean, reflect: true })
+  spin = false;
+
+  /** Fade in and out */
+  @property({ type: Boolean, reflect: true })
+  pulse = false;
+
+  /** Grow and shrink */
+  @property({ type: Boolean, reflect: true })
+  beat = false;
+
+  /**
+   * Top-level <svg> elements: the icon, plus its dark variant if any
+   * @returns {Element[]}
+   */
+  private renderedSvgs(): Element[] {
+    return Array.from(this.renderRoot.children).filter((el) => el.localName === 'svg');
+  }
+
+  private updateCrop() {
+    const svgs = this.renderedSvgs();
+    if (svgs.length === 0) return;
+
+    for (const svg of svgs) {
+      if (!this.originalViewBoxes.has(svg)) {
+        this.originalViewBoxes.set(svg, svg.getAttribute('viewBox'));
+      }
+    }
+
+    // Plain viewBox swap; the width follows --icon-size (cropWidth) without any layout reads
+    const { cropViewBox } = this.constructor as typeof QxIconBase;
+    for (const svg of svgs) {
+      const viewBox = this.autoCrop && cropViewBox ? cropViewBox : this.originalViewBoxes.get(svg);
+      if (viewBox) svg.setAttribute('viewBox', viewBox);
+    }
+  }
+
+  /**
+   * Host width for `auto-crop`, following --icon-size
+   * @returns {string | undefined} `calc()` expression, or undefined when not cropping
+   */
+  protected cropWidth(): string | undefined {
+    const { cropViewBox } = this.constructor as typeof QxIconBase;
+    if (!this.autoCrop || !cropViewBox) return undefined;
+
+    const [, , width, height] = cropViewBox.split(' ').map(Number);
+    const ratio = this.isQuarterTurn() ? height / width : width / height;
+    return `calc(var(--icon-size, 1em) * ${ratio})`;
+  }
+
+  /**
+   * Language of the closest `lang` attribute, looking through the hosts of
+   * enclosing shadow roots, then the document's
+   * @returns {string} Lowercase language tag, or '' when none is set
+   */
+  private contentLanguage(): string {
+    let node: Element | null = this;
+    while (node) {
+      const match = node.closest('[lang]');
+      if (match) return match.getAttribute('lang')!.toLowerCase();
+      const root = node.getRootNode();
+      node = root instanceof ShadowRoot ? root.host : null;
+    }
+    return document.documentElement.lang.toLowerCase();
+  }
+
+  /**
+   * Accessible name of the icon: `label`, or with `auto-label` the metadata
+   * title in the language of the closest `lang` attribute (`zh*` → Chinese,
+   * anything else → English), falling back to the other language
+   * @returns {string | undefined}
+   */
+  protected accessibleLabel(): string | undefined {
+    if (this.label) return this.label;
+    if (!this.autoLabel) return undefined;
+
+    const { iconTitle } = this.constructor as typeof QxIconBase;
+    const lang = this.contentLanguage();
+    return lang.startsWith('zh') ? iconTitle.zh ?? iconTitle.en : iconTitle.en ?? iconTitle.zh;
+  }
+
+  private updateLabel() {
+    const label = this.accessibleLabel();
+    for (const svg of this.renderedSvgs()) {
+      if (label) {
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', label);
+        svg.removeAttribute('aria-hidden');
+      } else {
+        svg.removeAttribute('role');
+        svg.removeAttribute('aria-label');
+        svg.setAttribute('aria-hidden', 'true');
+      }
+    }
+  }
+
+  /** `style` is observed so host styles survive a replaced `style` attribute */
+  static get observedAttributes(): string[] {
+    return [...super.observedAttributes, 'style'];
+  }
+
+  attributeChangedCallback(name: string, oldValue: string | null, value: string | null) {
+    super.attributeChangedCallback(name, oldValue, value);
+    // Only the missing properties are written back (see applyHostStyles), so our own writes settle at once
+    if (name === 'style' && this.hasUpdated) this.applyHostStyles();
+  }
+
+  firstUpdated() {
+    this.updateCrop();
+    this.updateLabel();
+  }
+
+  updated(changedProperties: PropertyValues) {
+    this.applyHostStyles();
+    if (changedProperties.has('autoCrop')) {
+      this.updateCrop();
+    }
+    // The closest `lang` is only read when the label properties change
+    if (changedProperties.has('label') || changedProperties.has('autoLabel')) {
+      this.updateLabel();
+    }
+  }
+
+  /**
+   * Whether `rotate` turns the icon on its side (90° or 270°), which swaps
+   * its width and height
+   * @returns {boolean}
+   */
+  protected isQuarterTurn(): boolean {
+    const angle = (((this.rotate ?? 0) % 360) + 360) % 360;
+    return angle === 90 || angle === 270;
+  }
+
+  /**
+   * Custom properties for the current rotate/flip
+   * @returns {QxIconHostStyles}
+   */
+  protected transformHostStyles(): QxIconHostStyles {
+    const scale = this.flip && FLIP_SCALES[this.flip];
+    const transform = [
+      this.rotate ? `rotate(${this.rotate}deg)` : '',
+      scale ? `scale(${scale})` : '',
+    ].filter(Boolean).join(' ');
+    const quarterTurn = this.isQuarterTurn();
+
+    return {
+      '--qxw-icon-transform': transform || undefined,
+      '--qxw-svg-width': quarterTurn ? 'var(--icon-size, 1em)' : undefined,
+      '--qxw-svg-height': quarterTurn ? 'var(--icon-width, var(--icon-size, 1em))' : undefined,
+    };
+  }
+
+  /**
+   * Custom properties for the current size/color/crop/transform
+   * @returns {QxIconHostStyles}
+   */
+  protected hostStyles(): QxIconHostStyles {
+    return {
+      '--icon-size': this.size ? `${this.size}px` : undefined,
+      '--icon-color': this.color ? resolveColor(this.color) : undefined,
+      '--icon-width': this.cropWidth(),
+      ...this.transformHostStyles(),
+    };
+  }
+
+  /**
+   * Set hostStyles() as inline custom properties on the host
+   * Replaces a per-instance <style> element, which the browser had to parse
+   * for every icon. Only changed properties are written, so updates that
+   * don't touch them cause no style recalculation. Runs after every update
+   * and whenever the `style` attribute changes.
+   */
+  protected applyHostStyles() {
+    const styles = this.hostStyles();
+    for (const name of this.appliedHostStyles.keys()) {
+      if (styles[name] !== undefined) continue;
+      this.style.removeProperty(name);
+      this.appliedHostStyles.delete(name);
+    }
+    for (const [name, value] of Object.entries(styles)) {
+      // Compared with the inline style, so a replaced `style` attribute gets them back
+      if (value === undefined || this.style.getPropertyValue(name) === value) continue;
+      this.style.setProperty(name, value);
+      this.appliedHostStyles.set(name, value);
+    }
+  }
+
+  /**
+   * SVG template(s) of the icon
+   * @returns {TemplateResult}
+   */
+  protected renderSvg(): TemplateResult {
+    return (this.constructor as typeof QxIconBase).svg;
+  }
+
+  render() {
+    return this.renderSvg();
+  }
+}
+
+/**
+ * QxIconColorsBase - Base class for icons that keep their original colors (`svg/colors/`)
+ *
+ * Icons with a dark variant (`<name>.dark.svg`) render both SVGs and show one,
+ * in order of precedence:
+ * 1. the `theme` attribute (`light` / `dark`)
+ * 2. the inherited `--qxw-icon-theme: light | dark` custom property
+ *    (CSS style queries; ignored by browsers without them)
+ * 3. `prefers-color-scheme`
+ */
+export class QxIconColorsBase extends QxIconBase {
+  static styles = [css`
+    :host {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      flex: 0 0 auto;
+      width: var(--icon-width, auto);
+      height: var(--icon-size, 1em);
+    }
+    svg {
+      display: block;
+    }
+    .qxw-dark {
+      display: none;
+    }
+    @media (prefers-color-scheme: dark) {
+      .qxw-light {
+        display: none;
+      }
+      .qxw-dark {
+        display: block;
+      }
+    }
+    @container style(--qxw-icon-theme: light) {
+      .qxw-light {
+        display: block;
+      }
+      .qxw-dark {
+        display: none;
+      }
+    }
+    @container style(--qxw-icon-theme: dark) {
+      .qxw-light {
+        display: none;
+      }
+      .qxw-dark {
+        display: block;
+      }
+    }
+    :host([theme='light']) .qxw-light,
+    :host([theme='dark']) .qxw-dark {
+      display: block;
+    }
+    :host([theme='light']) .qxw-dark,
+    :host([theme='dark']) .qxw-light {
+      display: none;
+    }
+  `, transformStyles, animationStyles];
+
+  static iconType: QxIconType = 'colors';
+
+  /** Dark variant of the SVG template, when the icon has one */
+  static darkSvg?: TemplateResult;
+
+  /** Force the light or dark variant instead of following the page */
+  @property({ type: String, reflect: true })
+  theme?: QxIconTheme;
+
+  protected renderSvg(): TemplateResult {
+    const { svg, darkSvg } = this.constructor as typeof QxIconColorsBase;
+    return darkSvg ? html`${svg}${darkSvg}` : svg;
+  }
+
+  protected hostStyles(): QxIconHostStyles {
+    const { aspectRatio } = this.constructor as typeof QxIconColorsBase;
+    const ratio = this.isQuarterTurn() ? 1 / aspectRatio : aspectRatio;
+    return {
+      ...super.hostStyles(),
+      // Colors icons keep their own colors
+      '--icon-color': undefined,
+      '--icon-width': this.cropWidth() ?? (this.size ? `${(this.size * ratio).toFixed(2)}px` : undefined),
+    };
+  }
+}
+
+/**
+ * QxIconDuotoneBase - Base class for two-tone icons (`svg/duotone/`)
+ * The SVGO pipeline rewrites the two source colors to
+ * `var(--icon-color, ...)` and `var(--icon-secondary-color, ...)`, so both
+ * follow the theme and fall back to the source colors.
+ */
+export class QxIconDuotoneBase extends QxIconBase {
+  static styles = [css`
+    :host {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      flex: 0 0 auto;
+      width: var(--icon-width, var(--icon-size, 1em));
+      height: var(--icon-size, 1em);
+    }
+    svg {
+      display: block;
+    }
+  `, transformStyles, animationStyles];
+
+  static iconType: QxIconType = 'duotone';
+
+  /** CSS color or design token, like `color` */
+  @property({ type: String, attribute: 'secondary-color' })
+  secondaryColor?: QxIconColor;
+
+  protected hostStyles(): QxIconHostStyles {
+    return {
+      ...super.hostStyles(),
+      '--icon-secondary-color': this.secondaryColor ? resolveColor(this.secondaryColor) : undefined,
+    };
+  }
+}
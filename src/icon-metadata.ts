@@ -0,0 +1,69 @@
+/**
+ * Icon metadata types and search
+ *
+ * The data comes from sidecar JSON files next to the source SVGs
+ * (`svg/nocolors/arrow-left.json`) and is published by the generator as
+ * `dist/icons.json` and the typed `@dqjs/webicon/metadata` entry.
+ */
+
+import type { QxIconType } from './icon-base.js';
+
+/** One color of a colors icon and the custom property that overrides it */
+export interface QxIconPaletteEntry {
+  /** CSS custom property, e.g. `--qxw-fire-c1` */
+  variable: string;
+  /** Original color, normalized (e.g. `#f82300`) */
+  color: string;
+}
+
+export interface QxIconMetadata {
+  /** Icon name, e.g. `shenfenzheng-id-card-h-1` */
+  name: string;
+  /** Custom element tag name */
+  tagName: string;
+  /** Component class name */
+  componentName: string;
+  type: QxIconType;
+  /** Source file relative to `svg/`, e.g. `nocolors/arrow-left.svg` */
+  file: string;
+  /** Display names */
+  title: {
+    zh?: string;
+    en?: string;
+  };
+  keywords: string[];
+  category?: string;
+  /** Designer or team responsible for the icon */
+  owner?: string;
+  /** Whether the icon points in a direction and mirrors in RTL content by default */
+  directional: boolean;
+  /**
+   * Colors icons only: one CSS custom property per distinct color, in order
+   * of first use. Override them to theme the icon, e.g. `--qxw-fire-c1: #fff`.
+   */
+  palette?: QxIconPaletteEntry[];
+  /** Whether the icon has a dark variant (`<name>.dark.svg`, colors icons only) */
+  dark: boolean;
+  /** Palette of the dark variant, with `--qxw-<icon>-c<n>-dark` variables */
+  darkPalette?: QxIconPaletteEntry[];
+}
+
+/**
+ * Search icons by name, display names, keywords and category
+ * Every whitespace-separated term must match (case-insensitive substring).
+ * @param {readonly QxIconMetadata[]} icons - Icons to search
+ * @param {string} query - Search query
+ * @returns {QxIconMetadata[]} Matching icons, in input order
+ */
+export function searchIcons(icons: readonly QxIconMetadata[], query: string): QxIconMetadata[] {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [...icons];
+
+  return icons.filter((icon) => {
+    const haystack = [icon.name, icon.title.zh, icon.title.en, icon.category, ...icon.keywords]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+}
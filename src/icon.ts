@@ -0,0 +1,146 @@
+/**
+ * Generic icon element that picks its icon from the registry by name
+ *
+ * Usage:
+ *   <qxw-icon name="arrow-left" size="24" color="red"></qxw-icon>
+ *   <qxw-icon name="badge-check" color="#1976d2" secondary-color="#fff"></qxw-icon>
+ *   <qxw-icon name="wechat-color" theme="dark"></qxw-icon>
+ *   <qxw-icon name="printer" label="Print"></qxw-icon>
+ *   <qxw-icon name="arrow-left" rotate="90"></qxw-icon>
+ *   <qxw-icon name="shezhi-setting-two-3" spin></qxw-icon>
+ *   <qxw-icon name="${item.icon}"><span>?</span></qxw-icon>  (slot content is the fallback)
+ */
+
+import { LitElement, css, type PropertyValues } from 'lit';
+import { customElement, property } from 'lit/decorators.js';
+import { html, unsafeStatic } from 'lit/static-html.js';
+import { getIcon, onIconRegistered, whenIconLoaded } from './registry.js';
+import type { QxIconFlip, QxIconTheme } from './icon-base.js';
+import type { QxIconColor } from './color-tokens.js';
+
+/** Detail of the `icon-not-found` event */
+export interface QxIconNotFoundDetail {
+  name: string;
+}
+
+/**
+ * QxIcon - Renders the registered icon matching `name`
+ * @element qxw-icon
+ * @slot - Fallback content shown while `name` is not a registered icon
+ * @fires icon-not-found - When `name` does not match any registered icon
+ *   (after a pending lazy load of that icon settled)
+ */
+@customElement('qxw-icon')
+export class QxIcon extends LitElement {
+  static styles = css`
+    :host {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      flex: 0 0 auto;
+    }
+  `;
+
+  private unsubscribe?: () => void;
+
+  @property({ type: String, reflect: true })
+  name?: string;
+
+  @property({ type: Number })
+  size?: number;
+
+  @property({ type: String })
+  color?: QxIconColor;
+
+  /** Forwarded to duotone icons */
+  @property({ type: String, attribute: 'secondary-color' })
+  secondaryColor?: QxIconColor;
+
+  /** Forwarded to colors icons with a dark variant */
+  @property({ type: String })
+  theme?: QxIconTheme;
+
+  @property({ type: Boolean, attribute: 'auto-crop' })
+  autoCrop = false;
+
+  @property({ type: String })
+  label?: string;
+
+  @property({ type: Boolean, attribute: 'auto-label' })
+  autoLabel = false;
+
+  @property({ type: Number })
+  rotate?: number;
+
+  @property({ type: String })
+  flip?: QxIconFlip;
+
+  /** Forwarded when set; otherwise the icon's own default (directional icons mirror) applies */
+  @property({ type: Boolean, attribute: 'mirror-rtl' })
+  mirrorRtl?: boolean;
+
+  @property({ type: Boolean })
+  spin = false;
+
+  @property({ type: Boolean })
+  pulse = false;
+
+  @property({ type: Boolean })
+  beat = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+    // Re-render when the requested icon is registered after us (e.g. lazy loaded)
+    this.unsubscribe = onIconRegistered((entry) => {
+      if (entry.name === this.name) this.requestUpdate();
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.unsubscribe?.();
+    this.unsubscribe = undefined;
+  }
+
+  updated(changedProperties: PropertyValues) {
+    if (changedProperties.has('name') && this.name && !getIcon(this.name)) {
+      this.reportNotFound(this.name);
+    }
+  }
+
+  /**
+   * Fire `icon-not-found` unless the icon is still loading and registers
+   * once its chunk arrives
+   * @param {string} name - Requested icon name
+   */
+  private async reportNotFound(name: string) {
+    await whenIconLoaded(name);
+    if (name !== this.name || getIcon(name)) return;
+    this.dispatchEvent(new CustomEvent<QxIconNotFoundDetail>('icon-not-found', {
+      detail: { name },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  render() {
+    const entry = this.name ? getIcon(this.name) : undefined;
+    if (!entry) {
+      return html`<slot></slot>`;
+    }
+
+    const tag = unsafeStatic(entry.tagName);
+    const mirrorRtl = this.mirrorRtl ?? entry.ctor.directional;
+    return html`<${tag} .size=${this.size} .color=${this.color} .secondaryColor=${this.secondaryColor} .theme=${this.theme} .autoCrop=${this.autoCrop} .label=${this.label} .autoLabel=${this.autoLabel} .rotate=${this.rotate} .flip=${this.flip} .mirrorRtl=${mirrorRtl}
+      .spin=${this.spin} .pulse=${this.pulse} .beat=${this.beat}></${tag}>`;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'qxw-icon': QxIcon;
+  }
+  interface HTMLElementEventMap {
+    'icon-not-found': CustomEvent<QxIconNotFoundDetail>;
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Lazy icon loader
+ *
+ * Watches the DOM for `qxw-icon-*` tags (and `<qxw-icon name="...">`) that
+ * are not defined yet, and imports only those icons from the split chunks
+ * built by `scripts/bundle.js`. Used by `dist/webicon.loader.min.js`, so
+ * script-tag pages only download the icons they actually show.
+ *
+ * Note: icons inside other components' shadow roots are not observed; import
+ * them directly or use `loadIcon()`.
+ */
+
+import { hasIcon, trackIconLoad } from './registry.js';
+
+const ICON_TAG_PREFIX = 'qxw-icon-';
+const GENERIC_TAG = 'qxw-icon';
+
+export interface QxIconLoaderOptions {
+  /** Tag name → chunk URL, relative to `baseUrl` */
+  chunks: Record<string, string>;
+  /** Base URL of the chunks (defaults to the loader script's URL) */
+  baseUrl?: string;
+  /** Root to scan and observe (defaults to `document.documentElement`) */
+  root?: Element;
+}
+
+let chunkUrls: Record<string, string> = {};
+let chunkBaseUrl = '';
+const pending = new Map<string, Promise<void>>();
+
+/**
+ * Import the chunk that defines a tag
+ * @param {string} tagName - Custom element tag name
+ * @returns {Promise<void>} Resolves once the element is defined
+ */
+function loadTag(tagName: string): Promise<void> {
+  if (customElements.get(tagName)) {
+    return Promise.resolve();
+  }
+
+  const existing = pending.get(tagName);
+  if (existing) return existing;
+
+  const path = chunkUrls[tagName];
+  if (!path) {
+    return Promise.reject(new Error(`[webicon] No chunk for <${tagName}>`));
+  }
+
+  const request = import(/* @vite-ignore */ new URL(path, chunkBaseUrl).href).then(
+    () => undefined,
+    (err: unknown) => {
+      // Allow a later retry (e.g. after a network error)
+      pending.delete(tagName);
+      throw err;
+    },
+  );
+  pending.set(tagName, request);
+  if (tagName.startsWith(ICON_TAG_PREFIX)) {
+    trackIconLoad(tagName.slice(ICON_TAG_PREFIX.length), request);
+  }
+  return request;
+}
+
+/**
+ * Load an icon by name, e.g. `arrow-left`
+ * @param {string} name - Safe icon name
+ * @returns {Promise<void>} Resolves once the icon is registered
+ */
+export function loadIcon(name: string): Promise<void> {
+  if (hasIcon(name)) {
+    return Promise.resolve();
+  }
+  return loadTag(ICON_TAG_PREFIX + name);
+}
+
+function reportError(err: unknown) {
+  console.error('[webicon] Failed to load icon:', err);
+}
+
+/**
+ * Load whatever an element needs to render
+ * @param {Element} el - Element found in the DOM
+ */
+function loadForElement(el: Element) {
+  const tagName = el.localName;
+
+  if (tagName === GENERIC_TAG) {
+    loadTag(GENERIC_TAG).catch(reportError);
+    const name = el.getAttribute('name');
+    if (name && chunkUrls[ICON_TAG_PREFIX + name]) {
+      loadIcon(name).catch(reportError);
+    }
+    return;
+  }
+
+  if (tagName.startsWith(ICON_TAG_PREFIX) && !customElements.get(tagName) && chunkUrls[tagName]) {
+    loadTag(tagName).catch(reportError);
+  }
+}
+
+/**
+ * Load icons for an element and all its descendants
+ * @param {Element} root - Subtree root
+ */
+function scan(root: Element) {
+  loadForElement(root);
+  root.querySelectorAll(`:not(:defined), ${GENERIC_TAG}[name]`).forEach(loadForElement);
+}
+
+/**
+ * Start watching the DOM and loading icons on demand
+ * Must be called synchronously from the loader script when relying on the
+ * default `baseUrl`.
+ * @param {QxIconLoaderOptions} options
+ * @returns {MutationObserver} The observer (call `disconnect()` to stop)
+ */
+export function startIconLoader({ chunks, baseUrl, root = document.documentElement }: QxIconLoaderOptions): MutationObserver {
+  chunkUrls = chunks;
+  chunkBaseUrl = baseUrl ?? ((document.currentScript as HTMLScriptElement | null)?.src || document.baseURI);
+
+  scan(root);
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        loadForElement(mutation.target as Element);
+        continue;
+      }
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) scan(node as Element);
+      });
+    }
+  });
+
+  observer.observe(root, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['name'],
+  });
+
+  return observer;
+}
@@ -0,0 +1,103 @@
+/**
+ * React wrapper factory for icon components
+ *
+ * Used by the generated `src/react/` modules (re-exported by `src/react.ts`,
+ * `@dqjs/webicon/react`) to create one component per icon. `size`, `color`,
+ * `secondaryColor`, `theme`, `label`, `autoLabel`, `rotate`, `flip`,
+ * `mirrorRtl`, `spin`, `pulse`, `beat` and `autoCrop` are set as element
+ * properties rather than attributes, so boolean `autoCrop={false}` works the
+ * same in every React version.
+ */
+
+import {
+  createElement,
+  forwardRef,
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  type ForwardRefExoticComponent,
+  type HTMLAttributes,
+  type RefAttributes,
+} from 'react';
+import type { QxIconBase, QxIconColorsBase, QxIconDuotoneBase, QxIconFlip, QxIconTheme } from './icon-base.js';
+import type { QxIconColor } from './color-tokens.js';
+
+export interface QxIconProps extends Omit<HTMLAttributes<HTMLElement>, 'color'> {
+  /** Icon size in px */
+  size?: number;
+  /** Icon color or design token (nocolors and duotone icons) */
+  color?: QxIconColor;
+  /** Secondary color or design token (duotone icons only) */
+  secondaryColor?: QxIconColor;
+  /** Force the light or dark variant (colors icons with a dark variant) */
+  theme?: QxIconTheme;
+  /** Crop the viewBox to the icon geometry */
+  autoCrop?: boolean;
+  /** Accessible name; without one the icon is hidden from screen readers */
+  label?: string;
+  /** Use the metadata title as the label, following `lang` */
+  autoLabel?: boolean;
+  /** Rotation in degrees, clockwise */
+  rotate?: number;
+  /** Mirror the icon */
+  flip?: QxIconFlip;
+  /** Mirror the icon in RTL content (defaults to true for directional icons) */
+  mirrorRtl?: boolean;
+  /** Rotate continuously */
+  spin?: boolean;
+  /** Fade in and out */
+  pulse?: boolean;
+  /** Grow and shrink */
+  beat?: boolean;
+}
+
+export type QxIconComponent<E extends QxIconBase> = ForwardRefExoticComponent<QxIconProps & RefAttributes<E>>;
+
+// Avoid the useLayoutEffect warning during server rendering
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+/**
+ * Create a React component rendering an icon custom element
+ * @param {string} tagName - Custom element tag name (e.g. `qxw-icon-arrow-left`)
+ * @param {string} displayName - Component name shown in React DevTools
+ * @returns {QxIconComponent<E>} Component forwarding its ref to the element
+ */
+export function createIconComponent<E extends QxIconBase>(tagName: string, displayName: string): QxIconComponent<E> {
+  const Component = forwardRef<E, QxIconProps>(({ size, color, secondaryColor, theme, autoCrop = false, label, autoLabel = false, rotate, flip, mirrorRtl, spin = false, pulse = false, beat = false, ...rest }, forwardedRef) => {
+    const elementRef = useRef<E | null>(null);
+
+    useIsomorphicLayoutEffect(() => {
+      const el = elementRef.current;
+      if (!el) return;
+      el.size = size;
+      el.color = color;
+      (el as Partial<QxIconDuotoneBase>).secondaryColor = secondaryColor;
+      (el as Partial<QxIconColorsBase>).theme = theme;
+      el.autoCrop = autoCrop;
+      el.label = label;
+      el.autoLabel = autoLabel;
+      el.rotate = rotate;
+      el.flip = flip;
+      // Leave the directional default alone unless the prop is given
+      if (mirrorRtl !== undefined) el.mirrorRtl = mirrorRtl;
+      el.spin = spin;
+      el.pulse = pulse;
+      el.beat = beat;
+    }, [size, color, secondaryColor, theme, autoCrop, label, autoLabel, rotate, flip, mirrorRtl, spin, pulse, beat]);
+
+    const setRef = useCallback((el: E | null) => {
+      elementRef.current = el;
+      if (typeof forwardedRef === 'function') {
+        forwardedRef(el);
+      } else if (forwardedRef) {
+        forwardedRef.current = el;
+      }
+    }, [forwardedRef]);
+
+    return createElement(tagName, { ...rest, ref: setRef });
+  });
+
+  Component.displayName = displayName;
+  return Component;
+}
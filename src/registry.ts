@@ -0,0 +1,116 @@
+/**
+ * Runtime icon registry
+ *
+ * Every generated icon registers itself here so icons can be looked up by
+ * name (e.g. `arrow-left`) instead of building tag names by hand. The
+ * registry lives on `globalThis` so separately bundled copies (ESM, CJS,
+ * IIFE) on the same page share one set of icons.
+ */
+
+import type { QxIconBase, QxIconType } from './icon-base.js';
+
+export interface QxIconEntry {
+  /** Safe icon name, e.g. `arrow-left` */
+  name: string;
+  /** Custom element tag name, e.g. `qxw-icon-arrow-left` */
+  tagName: string;
+  /** Source directory of the icon */
+  type: QxIconType;
+  /** Icon component class */
+  ctor: typeof QxIconBase;
+}
+
+type RegistryListener = (entry: QxIconEntry) => void;
+
+interface IconRegistry {
+  icons: Map<string, QxIconEntry>;
+  listeners: Set<RegistryListener>;
+  /** Icons being loaded, e.g. by the lazy loader */
+  loading: Map<string, Promise<void>>;
+}
+
+const REGISTRY_KEY = '__qxwIconRegistry';
+
+const registry: IconRegistry = ((globalThis as Record<string, unknown>)[REGISTRY_KEY] as IconRegistry | undefined)
+  ?? ((globalThis as Record<string, unknown>)[REGISTRY_KEY] = {
+    icons: new Map(),
+    listeners: new Set(),
+    loading: new Map(),
+  } as IconRegistry);
+
+/**
+ * Register an icon component under its `iconName`
+ * @param {string} tagName - Custom element tag name the class is defined as
+ * @param {typeof QxIconBase} ctor - Icon component class
+ */
+export function registerIcon(tagName: string, ctor: typeof QxIconBase) {
+  const entry: QxIconEntry = {
+    name: ctor.iconName,
+    tagName,
+    type: ctor.iconType,
+    ctor,
+  };
+  registry.icons.set(entry.name, entry);
+  registry.listeners.forEach((listener) => listener(entry));
+}
+
+/**
+ * Look up a registered icon by name
+ * @param {string} name - Safe icon name (e.g. `arrow-left`)
+ * @returns {QxIconEntry | undefined}
+ */
+export function getIcon(name: string): QxIconEntry | undefined {
+  return registry.icons.get(name);
+}
+
+/**
+ * Check whether an icon is registered
+ * @param {string} name - Safe icon name
+ * @returns {boolean}
+ */
+export function hasIcon(name: string): boolean {
+  return registry.icons.has(name);
+}
+
+/**
+ * List the names of all registered icons
+ * @returns {string[]} Sorted icon names
+ */
+export function getIconNames(): string[] {
+  return Array.from(registry.icons.keys()).sort();
+}
+
+/**
+ * Subscribe to icon registrations (e.g. icons loaded after first render)
+ * @param {RegistryListener} listener - Called with each newly registered icon
+ * @returns {() => void} Unsubscribe function
+ */
+export function onIconRegistered(listener: RegistryListener): () => void {
+  registry.listeners.add(listener);
+  return () => {
+    registry.listeners.delete(listener);
+  };
+}
+
+/**
+ * Mark an icon as being loaded, so `<qxw-icon>` waits for it before
+ * reporting `icon-not-found`
+ * @param {string} name - Safe icon name
+ * @param {Promise<unknown>} load - Settles once the icon's module has run
+ */
+export function trackIconLoad(name: string, load: Promise<unknown>) {
+  const settled = load.then(() => undefined, () => undefined);
+  registry.loading.set(name, settled);
+  settled.then(() => {
+    if (registry.loading.get(name) === settled) registry.loading.delete(name);
+  });
+}
+
+/**
+ * Wait for a pending load of an icon
+ * @param {string} name - Safe icon name
+ * @returns {Promise<void>} Resolves when the load settles (failed or not), right away when none is pending
+ */
+export function whenIconLoaded(name: string): Promise<void> {
+  return registry.loading.get(name) ?? Promise.resolve();
+}
@@ -0,0 +1,50 @@
+/**
+ * Helpers for the SVG sprite sheet (`dist/sprite.svg`)
+ *
+ * The sprite has one `<symbol id="qxw-icon-...">` per icon, using the same
+ * names as the components:
+ *   <svg width="16" height="16" fill="currentColor"><use href="#qxw-icon-arrow-left"/></svg>
+ */
+
+// Outside the `qxw-icon-` symbol ids, which an icon named `sprite` would take
+const SPRITE_CONTAINER_ID = 'qxw-sprite';
+
+/**
+ * Insert sprite markup into the document
+ * The sprite is hidden with a zero-size box instead of `display: none`, which
+ * would stop gradients and filters of colors icons from rendering.
+ * Calling it again replaces the previously inserted sprite.
+ * @param {string} markup - Contents of `dist/sprite.svg`
+ * @param {ParentNode} [parent] - Where to insert the sprite (defaults to `document.body`)
+ * @returns {SVGSVGElement} The inserted sprite element
+ */
+export function insertSprite(markup: string, parent: ParentNode = document.body): SVGSVGElement {
+  const template = document.createElement('template');
+  template.innerHTML = markup.trim();
+  const sprite = template.content.querySelector('svg');
+  if (!sprite) {
+    throw new Error('[webicon] Sprite markup has no <svg> root');
+  }
+
+  sprite.id = SPRITE_CONTAINER_ID;
+  sprite.setAttribute('aria-hidden', 'true');
+  sprite.setAttribute('style', 'position:absolute;width:0;height:0;overflow:hidden');
+
+  document.getElementById(SPRITE_CONTAINER_ID)?.remove();
+  parent.prepend(sprite);
+  return sprite;
+}
+
+/**
+ * Fetch the sprite sheet and insert it into the document
+ * @param {string} url - URL of `dist/sprite.svg`
+ * @param {ParentNode} [parent] - Where to insert the sprite (defaults to `document.body`)
+ * @returns {Promise<SVGSVGElement>} The inserted sprite element
+ */
+export async function loadSprite(url: string, parent?: ParentNode): Promise<SVGSVGElement> {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`[webicon] Failed to load sprite ${url}: ${response.status}`);
+  }
+  return insertSprite(await response.text(), parent);
+}
@@ -0,0 +1,116 @@
+/**
+ * Helpers for using raw icon markup outside custom elements
+ * (`<img src>`, CSS `background-image`, canvas, server-side rendering)
+ *
+ * Usage:
+ *   import arrowLeft from '@dqjs/webicon/svg/arrow-left';
+ *   import { toDataUri } from '@dqjs/webicon/svg';
+ *   img.src = toDataUri(arrowLeft, { color: '#f00', size: 16 });
+ */
+
+import { resolveColorValue, type QxIconColor } from './color-tokens.js';
+
+export interface QxSvgOptions {
+  /**
+   * Icon color, applied through `currentColor` (nocolors icons) and to the
+   * primary color of duotone icons
+   * Design tokens resolve to their default value, since the page's custom
+   * properties don't reach an `<img>` or data URI.
+   */
+  color?: QxIconColor;
+  /** Secondary color (duotone icons only) */
+  secondaryColor?: QxIconColor;
+  /** Width and height in px */
+  size?: number;
+}
+
+/** Root <svg> tag; quoted values may contain `>` and the other quote */
+const ROOT_TAG = /^<svg((?:[^>"']|"[^"]*"|'[^']*')*)>/;
+
+/** One attribute, each quote style matched separately so a value may contain the other quote */
+const ATTRIBUTE = /\s([\w:.-]+)\s*=\s*(?:"[^"]*"|'[^']*')/g;
+
+/**
+ * Names of the root <svg> element's attributes
+ * @param {string} svg - SVG markup
+ * @returns {string[]}
+ */
+function rootAttributeNames(svg: string): string[] {
+  const attrs = ROOT_TAG.exec(svg)?.[1] ?? '';
+  return Array.from(attrs.matchAll(ATTRIBUTE), (match) => match[1]);
+}
+
+/**
+ * Set or replace an attribute on the root <svg> element
+ * @param {string} svg - SVG markup
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {string} Updated markup
+ */
+function setRootAttribute(svg: string, name: string, value: string): string {
+  return svg.replace(ROOT_TAG, (match, attrs: string) => {
+    const escaped = value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    const cleaned = attrs.replace(ATTRIBUTE, (attribute, attributeName: string) => (attributeName === name ? '' : attribute));
+    return `<svg${cleaned} ${name}="${escaped}">`;
+  });
+}
+
+/**
+ * Recolor the paints a duotone icon marks with `data-qxw-fill` / `data-qxw-stroke`
+ * The raw markup keeps literal colors, so the new ones go in a `<style>`
+ * right after the root tag.
+ * @param {string} svg - SVG markup
+ * @param {Array<[string, string]>} roles - Role (`primary`, `secondary`) and color pairs
+ * @returns {string} Updated markup
+ */
+function recolorRoles(svg: string, roles: Array<[string, string]>): string {
+  const rules = roles.flatMap(([role, color]) => {
+    const escaped = color.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    return ['fill', 'stroke'].map((paint) => `[data-qxw-${paint}="${role}"]{${paint}:${escaped}!important}`);
+  });
+  return svg.replace(ROOT_TAG, (match) => `${match}<style>${rules.join('')}</style>`);
+}
+
+/**
+ * Apply color and size to SVG markup
+ * Nocolors icons have their fills removed, so a color also sets
+ * `fill="currentColor"` on the root when it has no fill of its own.
+ * Duotone icons get their two colors through `recolorRoles()`.
+ * @param {string} svg - SVG markup
+ * @param {QxSvgOptions} [options]
+ * @returns {string} Updated markup
+ */
+export function applySvgOptions(svg: string, options: QxSvgOptions = {}): string {
+  const { size } = options;
+  const color = options.color && resolveColorValue(options.color);
+  const secondaryColor = options.secondaryColor && resolveColorValue(options.secondaryColor);
+  let result = svg;
+  if (color) {
+    result = setRootAttribute(result, 'color', color);
+    if (!rootAttributeNames(result).includes('fill')) {
+      result = setRootAttribute(result, 'fill', 'currentColor');
+    }
+  }
+  const roles: Array<[string, string]> = [];
+  if (color) roles.push(['primary', color]);
+  if (secondaryColor) roles.push(['secondary', secondaryColor]);
+  if (roles.length > 0 && /\sdata-qxw-(fill|stroke)=/.test(result)) {
+    result = recolorRoles(result, roles);
+  }
+  if (size) {
+    result = setRootAttribute(result, 'width', String(size));
+    result = setRootAttribute(result, 'height', String(size));
+  }
+  return result;
+}
+
+/**
+ * Convert SVG markup to a data URI
+ * @param {string} svg - SVG markup
+ * @param {QxSvgOptions} [options]
+ * @returns {string} `data:image/svg+xml,...` URI, safe inside CSS `url('...')`
+ */
+export function toDataUri(svg: string, options?: QxSvgOptions): string {
+  const encoded = encodeURIComponent(applySvgOptions(svg, options)).replace(/'/g, '%27');
+  return `data:image/svg+xml,${encoded}`;
+}
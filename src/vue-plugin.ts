@@ -0,0 +1,79 @@
+/**
+ * Vue 3 integration for icon components
+ *
+ * Used by the generated `src/vue.ts` (`@dqjs/webicon/vue`), which also
+ * declares every `qxw-icon-*` tag in Vue's `GlobalComponents` for template
+ * type checking. Neither defines the elements: apps import the icons they
+ * use, so unused icons stay out of the bundle.
+ */
+
+import type { DefineComponent, Plugin } from 'vue';
+import type { QxIconFlip, QxIconTheme } from './icon-base.js';
+import type { QxIconColor } from './color-tokens.js';
+
+export interface QxIconVueProps {
+  /** Icon size in px */
+  size?: number;
+  /** Icon color or design token (nocolors and duotone icons) */
+  color?: QxIconColor;
+  /** Secondary color or design token (duotone icons only), bound as `secondary-color` */
+  secondaryColor?: QxIconColor;
+  /** Force the light or dark variant (colors icons with a dark variant) */
+  theme?: QxIconTheme;
+  /**
+   * Crop the viewBox to the icon geometry
+   * Bind it as `:autoCrop` so Vue sets the property; `:auto-crop="false"`
+   * would set the attribute to the string "false", which still enables it.
+   */
+  autoCrop?: boolean;
+  /** Accessible name; without one the icon is hidden from screen readers */
+  label?: string;
+  /** Use the metadata title as the label, following `lang`; bind it as `:autoLabel` like `autoCrop` */
+  autoLabel?: boolean;
+  /** Rotation in degrees, clockwise */
+  rotate?: number;
+  /** Mirror the icon */
+  flip?: QxIconFlip;
+  /** Mirror the icon in RTL content (defaults to true for directional icons); bind it as `:mirrorRtl` */
+  mirrorRtl?: boolean;
+  /** Rotate continuously; bind the animation modes as `:spin="true"` like `autoCrop` */
+  spin?: boolean;
+  /** Fade in and out */
+  pulse?: boolean;
+  /** Grow and shrink */
+  beat?: boolean;
+}
+
+export interface QxIconNameVueProps extends QxIconVueProps {
+  /** Registered icon name, e.g. `arrow-left` */
+  name?: string;
+}
+
+/** Template typing of an icon tag */
+export type QxIconVueComponent = DefineComponent<QxIconVueProps>;
+
+/** Template typing of the generic `<qxw-icon name="...">` tag */
+export type QxIconNameVueComponent = DefineComponent<QxIconNameVueProps>;
+
+/**
+ * Whether a tag is one of our icon elements (`qxw-icon` or `qxw-icon-*`)
+ * Pass it to the template compiler in build tools, e.g. in vite.config.ts:
+ *   vue({ template: { compilerOptions: { isCustomElement } } })
+ * @param {string} tag - Tag name
+ * @returns {boolean}
+ */
+export function isCustomElement(tag: string): boolean {
+  return tag === 'qxw-icon' || tag.startsWith('qxw-icon-');
+}
+
+/**
+ * Vue plugin that registers our tags as custom elements for templates
+ * compiled at runtime (`app.config.compilerOptions`). Templates compiled by
+ * a build tool need `isCustomElement` in its config instead.
+ */
+export const WebiconPlugin: Plugin = {
+  install(app) {
+    const previous = app.config.compilerOptions.isCustomElement;
+    app.config.compilerOptions.isCustomElement = (tag: string) => isCustomElement(tag) || !!previous?.(tag);
+  },
+};
@@ -0,0 +1,27 @@
+// Duotone SVG: two source colors become themeable CSS custom properties
+// The generator maps the most used color to --icon-color and the other one to
+// --icon-secondary-color after this config ran (applyDuotone in
+// scripts/svg-palette.js); both fall back to the source color.
+module.exports = {
+  js2svg: {
+    indent: 2,
+    pretty: false,
+  },
+  plugins: [
+    {
+      name: 'preset-default',
+      params: {
+        overrides: {
+          inlineStyles: false,
+          removeDoctype: true,
+          removeViewBox: false,
+          // Same as nocolors: path merging and convertPathData break some icons
+          mergePaths: false,
+          convertPathData: false,
+        },
+      },
+    },
+    'prefixIds',
+    'removeStyleElement',
+  ],
+};